@@ -0,0 +1,195 @@
+// AI Summary: Tests for lib/args.js. Covers option parsing (long, short and --name=value forms),
+// the update, uninstall, doctor and cache subcommands, unknown flags, directory name and option
+// validation and the generated usage text.
+
+import { ArgumentError, OPTIONS, formatUsage, parseArgs, validateDirectoryName, validateOptions } from '../lib/args.js';
+
+describe('parseArgs', () => {
+  it('should default to installing into the athanor directory', () => {
+    expect(parseArgs([])).toEqual({ command: 'install', directory: 'athanor', options: {} });
+  });
+
+  it('should take the first positional argument as the directory', () => {
+    expect(parseArgs(['my-athanor'])).toEqual({ command: 'install', directory: 'my-athanor', options: {} });
+  });
+
+  it('should recognize the update subcommand', () => {
+    expect(parseArgs(['update', 'my-athanor'])).toEqual({ command: 'update', directory: 'my-athanor', options: {} });
+    expect(parseArgs(['update']).directory).toBe('athanor');
+  });
+
+  it('should recognize the uninstall subcommand', () => {
+    expect(parseArgs(['uninstall', 'my-athanor', '--yes'])).toEqual({ command: 'uninstall', directory: 'my-athanor', options: { yes: true } });
+  });
+
+  it('should reject --json for commands without JSON output', () => {
+    expect(() => parseArgs(['uninstall', '--json'])).toThrow('The uninstall command does not support --json');
+    expect(() => parseArgs(['cache', 'clean', '--json'])).toThrow('The cache command does not support --json');
+    expect(parseArgs(['doctor', '--json']).options).toEqual({ json: true });
+    expect(parseArgs(['update', '--json']).options).toEqual({ json: true });
+  });
+
+  it('should parse string options in both separate and inline forms', () => {
+    expect(parseArgs(['--ref', 'v1.0.0']).options).toEqual({ ref: 'v1.0.0' });
+    expect(parseArgs(['--ref=v1.0.0']).options).toEqual({ ref: 'v1.0.0' });
+  });
+
+  it('should parse boolean options and their aliases', () => {
+    expect(parseArgs(['--yes']).options).toEqual({ yes: true });
+    expect(parseArgs(['-y', '-h', '-v']).options).toEqual({ yes: true, help: true, version: true });
+  });
+
+  it('should key multi-word options by their camelCase name', () => {
+    expect(parseArgs(['--keep-on-failure']).options).toEqual({ keepOnFailure: true });
+  });
+
+  it('should accept options before and after positionals', () => {
+    expect(parseArgs(['-y', 'update', 'dir', '--ref', 'main'])).toEqual({
+      command: 'update',
+      directory: 'dir',
+      options: { yes: true, ref: 'main' }
+    });
+  });
+
+  it('should treat everything after -- as positional', () => {
+    expect(parseArgs(['--', '-odd-name']).directory).toBe('-odd-name');
+  });
+
+  it('should reject unknown options', () => {
+    expect(() => parseArgs(['--help-me'])).toThrow(ArgumentError);
+    expect(() => parseArgs(['--help-me'])).toThrow('Unknown option: --help-me');
+    expect(() => parseArgs(['-x'])).toThrow('Unknown option: -x');
+  });
+
+  it('should reject a missing option value', () => {
+    expect(() => parseArgs(['--ref'])).toThrow('Option --ref requires a value <tag|branch|sha>');
+    expect(() => parseArgs(['--ref', '--yes'])).toThrow('Option --ref requires a value');
+    expect(() => parseArgs(['--ref='])).toThrow('Option --ref requires a value');
+  });
+
+  it('should reject values for boolean options', () => {
+    expect(() => parseArgs(['--yes=no'])).toThrow('Option --yes does not take a value');
+  });
+
+  it('should run option validators', () => {
+    expect(() => parseArgs(['--ref=-x'])).toThrow('--ref requires a tag, branch or commit SHA');
+  });
+
+  it('should accept http(s), file:// and local paths for --zip-url', () => {
+    expect(parseArgs(['--zip-url', 'https://mirror.example.com/athanor.zip']).options.zipUrl).toBe('https://mirror.example.com/athanor.zip');
+    expect(parseArgs(['--zip-url=file:///srv/athanor.zip']).options.zipUrl).toBe('file:///srv/athanor.zip');
+    expect(parseArgs(['--zip-url', './athanor.zip']).options.zipUrl).toBe('./athanor.zip');
+    expect(() => parseArgs(['--zip-url', 'ftp://example.com/athanor.zip'])).toThrow('--zip-url requires');
+  });
+
+  it('should require a 64-character hex digest for --sha256', () => {
+    expect(parseArgs(['--sha256', 'A'.repeat(64)]).options.sha256).toBe('A'.repeat(64));
+    expect(() => parseArgs(['--sha256', 'abc123'])).toThrow('--sha256 requires a 64-character hexadecimal SHA-256 digest');
+  });
+
+  it('should reject --from together with other source options', () => {
+    expect(() => parseArgs(['--from', 'athanor.zip', '--repo', '/srv/athanor.git'])).toThrow('Options --from and --repo cannot be used together');
+    expect(() => parseArgs(['--from', 'athanor.zip', '--zip-url', 'mirror.zip'])).toThrow('Options --from and --zip-url cannot be used together');
+  });
+
+  it('should reject --sha256 together with --sha256-url', () => {
+    expect(() => parseArgs(['--sha256', 'a'.repeat(64), '--sha256-url', 'sums.txt'])).toThrow('cannot be used together');
+  });
+
+  it('should accept a retry count from 0 to 10', () => {
+    expect(parseArgs(['--retries', '0']).options.retries).toBe('0');
+    expect(() => parseArgs(['--retries', '11'])).toThrow('--retries requires a whole number from 0 to 10');
+    expect(() => parseArgs(['--retries=two'])).toThrow('--retries requires');
+  });
+
+  it('should recognize the doctor command with an optional directory', () => {
+    expect(parseArgs(['doctor', '--json'])).toEqual({ command: 'doctor', directory: 'athanor', options: { json: true } });
+    expect(parseArgs(['doctor', 'my-athanor']).directory).toBe('my-athanor');
+  });
+
+  it('should parse the cache command and its action', () => {
+    expect(parseArgs(['cache', 'clean'])).toEqual({ command: 'cache', action: 'clean', directory: null, options: {} });
+    expect(() => parseArgs(['cache'])).toThrow('The cache command requires an action: clean');
+    expect(() => parseArgs(['cache', 'purge'])).toThrow('Unknown cache action: purge (expected: clean)');
+    expect(() => parseArgs(['cache', 'clean', 'extra'])).toThrow('Unexpected argument: extra');
+  });
+
+  it('should parse --no-cache and --reference', () => {
+    expect(parseArgs(['--no-cache', '--reference', '../athanor.git']).options).toEqual({ noCache: true, reference: '../athanor.git' });
+  });
+
+  it('should require sizes for the free space thresholds', () => {
+    expect(parseArgs(['--min-free-space', '6GB', '--min-temp-space=0']).options).toEqual({ minFreeSpace: '6GB', minTempSpace: '0' });
+    expect(() => parseArgs(['--min-free-space', 'plenty'])).toThrow('--min-free-space requires a size such as 4GB or 500MB');
+  });
+
+  it('should only accept supported package managers', () => {
+    expect(parseArgs(['--package-manager', 'pnpm']).options.packageManager).toBe('pnpm');
+    expect(() => parseArgs(['--package-manager', 'deno'])).toThrow('--package-manager must be one of: npm, pnpm, yarn, bun');
+  });
+
+  it('should parse --repo', () => {
+    expect(parseArgs(['--repo', 'git@github.com:someone/athanor.git']).options.repo).toBe('git@github.com:someone/athanor.git');
+  });
+
+  it('should reject extra positional arguments', () => {
+    expect(() => parseArgs(['one', 'two'])).toThrow('Unexpected argument: two');
+  });
+
+  it('should reject invalid directory names', () => {
+    expect(() => parseArgs(['bad|name'])).toThrow(ArgumentError);
+  });
+});
+
+describe('validateDirectoryName', () => {
+  it.each([
+    ['athanor'],
+    ['my-athanor'],
+    ['projects/athanor'],
+    ['../athanor'],
+    ['/opt/athanor'],
+    ['C:\\Users\\me\\athanor'],
+  ])('should accept %s', (directory) => {
+    expect(validateDirectoryName(directory)).toBeNull();
+  });
+
+  it.each([
+    [''],
+    ['   '],
+    ['bad<name'],
+    ['what?'],
+    ['tab\tname'],
+    ['nul'],
+    ['projects/COM1'],
+    ['..'],
+  ])('should reject %j', (directory) => {
+    expect(validateDirectoryName(directory)).toEqual(expect.any(String));
+  });
+});
+
+describe('validateOptions', () => {
+  it('should accept valid camelCased options', () => {
+    expect(() => validateOptions({ ref: 'v1.0.0', packageManager: 'pnpm', minFreeSpace: '2GB', retries: 5 })).not.toThrow();
+  });
+
+  it('should reject invalid values and conflicting options', () => {
+    expect(() => validateOptions({ packageManager: 'maven' })).toThrow(ArgumentError);
+    expect(() => validateOptions({ retries: -1 })).toThrow(ArgumentError);
+    expect(() => validateOptions({ from: 'athanor.zip', repo: 'https://example.com/athanor.git' }))
+      .toThrow('Options --from and --repo cannot be used together');
+  });
+});
+
+describe('formatUsage', () => {
+  it('should list the update command and every declared option', () => {
+    const usage = formatUsage();
+
+    expect(usage).toContain('Usage: npx setup-athanor');
+    expect(usage).toContain('update [directory]');
+    expect(usage).toContain('cache clean');
+    for (const option of OPTIONS) {
+      expect(usage).toContain(`--${option.name}`);
+      expect(usage).toContain(option.description);
+    }
+  });
+});
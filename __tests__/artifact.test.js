@@ -0,0 +1,74 @@
+// AI Summary: Tests for lib/artifact.js. Builds out/ folders in a temp directory and checks that the
+// application for the given platform and arch is found (macOS .app, Windows .exe, Linux executable
+// in either case) and that other builds or a missing out/ give no application.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { findBuiltApplication } from '../lib/artifact.js';
+
+describe('findBuiltApplication', () => {
+  let target;
+
+  beforeEach(async () => {
+    target = await fs.mkdtemp(path.join(os.tmpdir(), 'setup-athanor-artifact-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(target, { recursive: true, force: true });
+  });
+
+  // Creates out/<folder>/ with the given entries
+  const createBuild = async (folder, entries) => {
+    const buildDir = path.join(target, 'out', folder);
+    await fs.mkdir(buildDir, { recursive: true });
+    for (const entry of entries) {
+      await fs.writeFile(path.join(buildDir, entry), '');
+    }
+  };
+
+  it('should find the executable for the platform and arch', async () => {
+    await createBuild('Athanor-linux-arm64', ['Athanor']);
+    await createBuild('Athanor-linux-x64', ['Athanor', 'resources.pak']);
+
+    expect(await findBuiltApplication(target, { platform: 'linux', arch: 'x64' })).toEqual({
+      applicationPath: path.join(target, 'out', 'Athanor-linux-x64', 'Athanor'),
+      outputEntries: ['Athanor-linux-arm64', 'Athanor-linux-x64']
+    });
+  });
+
+  it('should accept a lowercase executable name on Linux', async () => {
+    await createBuild('Athanor-linux-x64', ['athanor', 'LICENSE']);
+
+    const { applicationPath } = await findBuiltApplication(target, { platform: 'linux', arch: 'x64' });
+
+    expect(applicationPath).toBe(path.join(target, 'out', 'Athanor-linux-x64', 'athanor'));
+  });
+
+  it('should find the app bundle on macOS and the .exe on Windows', async () => {
+    await createBuild('Athanor-darwin-arm64', ['Athanor.app']);
+    await createBuild('Athanor-win32-x64', ['Athanor.exe', 'ffmpeg.dll']);
+
+    expect((await findBuiltApplication(target, { platform: 'darwin', arch: 'arm64' })).applicationPath)
+      .toBe(path.join(target, 'out', 'Athanor-darwin-arm64', 'Athanor.app'));
+    expect((await findBuiltApplication(target, { platform: 'win32', arch: 'x64' })).applicationPath)
+      .toBe(path.join(target, 'out', 'Athanor-win32-x64', 'Athanor.exe'));
+  });
+
+  it('should find nothing when only other builds or no executable exist', async () => {
+    await createBuild('Athanor-linux-arm64', ['Athanor']);
+    await createBuild('Athanor-linux-x64', ['resources.pak']);
+
+    expect(await findBuiltApplication(target, { platform: 'linux', arch: 'x64' })).toEqual({
+      applicationPath: null,
+      outputEntries: ['Athanor-linux-arm64', 'Athanor-linux-x64']
+    });
+  });
+
+  it('should find nothing without out/', async () => {
+    expect(await findBuiltApplication(target, { platform: 'linux', arch: 'x64' })).toEqual({
+      applicationPath: null,
+      outputEntries: []
+    });
+  });
+});
@@ -0,0 +1,90 @@
+// AI Summary: Tests for lib/cache.js. Checks the platform cache locations, which archive URLs are
+// treated as immutable, and saving, reading and invalidating cache entries in a temp directory.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import {
+  getCacheDir,
+  isImmutableArchiveUrl,
+  readCachedArchive,
+  removeCachedArchive,
+  saveCachedArchive
+} from '../lib/cache.js';
+
+const ARCHIVE_URL = 'https://github.com/lacerbi/athanor/archive/refs/heads/main.zip';
+// SHA-256 of the string "athanor"
+const ATHANOR_SHA256 = '8ca375046088497a85270a40ba18f25d9caf09a0229122fd729b1b59687aa6f8';
+
+describe('getCacheDir', () => {
+  it('should prefer $XDG_CACHE_HOME', () => {
+    expect(getCacheDir({ XDG_CACHE_HOME: '/xdg' }, 'darwin')).toBe(path.join('/xdg', 'setup-athanor'));
+  });
+
+  it('should use the platform cache folder otherwise', () => {
+    expect(getCacheDir({ LOCALAPPDATA: 'C:\\Local' }, 'win32')).toBe(path.join('C:\\Local', 'setup-athanor', 'Cache'));
+    expect(getCacheDir({}, 'darwin')).toBe(path.join(os.homedir(), 'Library', 'Caches', 'setup-athanor'));
+    expect(getCacheDir({}, 'linux')).toBe(path.join(os.homedir(), '.cache', 'setup-athanor'));
+  });
+});
+
+describe('isImmutableArchiveUrl', () => {
+  it('should only treat archives of a full commit SHA as immutable', () => {
+    expect(isImmutableArchiveUrl(`https://github.com/lacerbi/athanor/archive/${'0a'.repeat(20)}.zip`)).toBe(true);
+    expect(isImmutableArchiveUrl('https://github.com/lacerbi/athanor/archive/abc1234.zip')).toBe(false);
+    expect(isImmutableArchiveUrl(ARCHIVE_URL)).toBe(false);
+  });
+});
+
+describe('cache entries', () => {
+  let tempDir;
+  let cacheDir;
+  let downloadPath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'setup-athanor-cache-test-'));
+    cacheDir = path.join(tempDir, 'cache');
+    downloadPath = path.join(tempDir, 'download.zip');
+    await fs.writeFile(downloadPath, 'athanor');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should return null when nothing is cached', async () => {
+    expect(await readCachedArchive(cacheDir, ARCHIVE_URL)).toBeNull();
+  });
+
+  it('should read back a saved archive with its validators', async () => {
+    await saveCachedArchive(cacheDir, ARCHIVE_URL, downloadPath, { sha256: ATHANOR_SHA256, size: 7, etag: '"v1"', lastModified: null });
+
+    const cached = await readCachedArchive(cacheDir, ARCHIVE_URL);
+
+    expect(cached).toEqual({
+      archivePath: expect.stringContaining(path.join(cacheDir, 'archives')),
+      sha256: ATHANOR_SHA256,
+      size: 7,
+      etag: '"v1"',
+      lastModified: null
+    });
+    expect(await fs.readFile(cached.archivePath, 'utf8')).toBe('athanor');
+    expect(await readCachedArchive(cacheDir, `${ARCHIVE_URL}?other`)).toBeNull();
+  });
+
+  it('should drop an entry whose archive no longer matches its checksum', async () => {
+    await saveCachedArchive(cacheDir, ARCHIVE_URL, downloadPath, { sha256: ATHANOR_SHA256, size: 7 });
+    const { archivePath } = await readCachedArchive(cacheDir, ARCHIVE_URL);
+    await fs.writeFile(archivePath, 'tampered');
+
+    expect(await readCachedArchive(cacheDir, ARCHIVE_URL)).toBeNull();
+    await expect(fs.stat(archivePath)).rejects.toThrow();
+  });
+
+  it('should remove an entry', async () => {
+    await saveCachedArchive(cacheDir, ARCHIVE_URL, downloadPath, { sha256: ATHANOR_SHA256, size: 7 });
+    await removeCachedArchive(cacheDir, ARCHIVE_URL);
+
+    expect(await readCachedArchive(cacheDir, ARCHIVE_URL)).toBeNull();
+  });
+});
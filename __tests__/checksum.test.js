@@ -0,0 +1,72 @@
+// AI Summary: Tests for lib/checksum.js. Checks file hashing against a known SHA-256 digest,
+// sidecar checksum file parsing (bare digests and sha256sum output) and mismatch errors.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import {
+  hashFile,
+  parseChecksumFile,
+  verifyChecksum
+} from '../lib/checksum.js';
+
+// SHA-256 of the string "athanor"
+const ATHANOR_SHA256 = '8ca375046088497a85270a40ba18f25d9caf09a0229122fd729b1b59687aa6f8';
+const DIGEST_A = 'a'.repeat(64);
+const DIGEST_B = 'b'.repeat(64);
+
+describe('hashing', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'setup-athanor-checksum-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should hash a local file', async () => {
+    const filePath = path.join(tempDir, 'archive.zip');
+    await fs.writeFile(filePath, 'athanor');
+
+    await expect(hashFile(filePath)).resolves.toBe(ATHANOR_SHA256);
+  });
+
+  it('should reject for a missing file', async () => {
+    await expect(hashFile(path.join(tempDir, 'missing.zip'))).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+});
+
+describe('parseChecksumFile', () => {
+  it('should read a bare digest', () => {
+    expect(parseChecksumFile(`${DIGEST_A.toUpperCase()}\n`)).toBe(DIGEST_A);
+  });
+
+  it('should pick the line naming the archive in sha256sum output', () => {
+    const content = `# checksums\n${DIGEST_A}  athanor-1.0.0.zip\n${DIGEST_B} *main.zip\n`;
+
+    expect(parseChecksumFile(content, 'main.zip')).toBe(DIGEST_B);
+  });
+
+  it('should fall back to the first digest when no line names the archive', () => {
+    expect(parseChecksumFile(`${DIGEST_A}  source.zip\r\n`, 'main.zip')).toBe(DIGEST_A);
+  });
+
+  it('should throw when the file holds no SHA-256 digest', () => {
+    expect(() => parseChecksumFile('<html>Not Found</html>')).toThrow('No SHA-256 checksum found');
+  });
+});
+
+describe('verifyChecksum', () => {
+  it('should accept matching digests regardless of case', () => {
+    expect(() => verifyChecksum(DIGEST_A, DIGEST_A.toUpperCase())).not.toThrow();
+  });
+
+  it('should throw a checksum mismatch error', () => {
+    expect(() => verifyChecksum(DIGEST_A, DIGEST_B)).toThrow(expect.objectContaining({
+      checksumMismatch: true,
+      message: `Checksum mismatch: expected SHA-256 ${DIGEST_B}, got ${DIGEST_A}`
+    }));
+  });
+});
@@ -0,0 +1,76 @@
+// AI Summary: Tests for lib/cleanup.js. Uses a real temporary directory to check that only paths
+// created by the run are tracked, released paths survive, and rollback removes the rest.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { CleanupTracker } from '../lib/cleanup.js';
+
+describe('CleanupTracker', () => {
+  let workDir;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'setup-athanor-cleanup-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('should remove tracked paths on rollback', async () => {
+    const cleanup = new CleanupTracker();
+    const target = path.join(workDir, 'athanor');
+
+    expect(await cleanup.trackIfNew(target)).toBe(true);
+    await fs.mkdir(path.join(target, 'src'), { recursive: true });
+
+    const { removed, failed } = await cleanup.rollback();
+
+    expect(removed).toEqual([target]);
+    expect(failed).toEqual([]);
+    await expect(fs.stat(target)).rejects.toThrow();
+    expect(cleanup.trackedPaths).toEqual([]);
+  });
+
+  it('should never track a path that already existed', async () => {
+    const cleanup = new CleanupTracker();
+    const existing = path.join(workDir, 'existing');
+    await fs.mkdir(existing);
+
+    expect(await cleanup.trackIfNew(existing)).toBe(false);
+    await cleanup.rollback();
+
+    expect((await fs.stat(existing)).isDirectory()).toBe(true);
+  });
+
+  it('should keep released paths', async () => {
+    const cleanup = new CleanupTracker();
+    const target = path.join(workDir, 'athanor');
+    const modules = path.join(target, 'node_modules');
+
+    await cleanup.trackIfNew(target);
+    await fs.mkdir(target);
+    cleanup.release(target);
+    await cleanup.trackIfNew(modules);
+    await fs.mkdir(modules);
+
+    const { removed } = await cleanup.rollback();
+
+    expect(removed).toEqual([modules]);
+    expect((await fs.stat(target)).isDirectory()).toBe(true);
+    await expect(fs.stat(modules)).rejects.toThrow();
+  });
+
+  it('should remove paths newest first', async () => {
+    const cleanup = new CleanupTracker();
+    const first = path.join(workDir, 'first');
+    const second = path.join(workDir, 'second');
+
+    await cleanup.trackIfNew(first);
+    await cleanup.trackIfNew(second);
+    await cleanup.trackIfNew(first);
+
+    expect(cleanup.trackedPaths).toEqual([first, second]);
+    expect((await cleanup.rollback()).removed).toEqual([second, first]);
+  });
+});
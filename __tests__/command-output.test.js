@@ -0,0 +1,82 @@
+// AI Summary: Tests for lib/command-output.js. Checks verbose lines with the step prefix across
+// chunk boundaries, the rolling tail on terminals (last lines only, redrawn in place, cleared at the
+// end, cut to the terminal width) and that nothing is shown on non-interactive streams.
+
+import { createOutputDisplay } from '../lib/command-output.js';
+
+const createStream = ({ isTTY = true, columns = 80 } = {}) => ({
+  isTTY,
+  columns,
+  output: '',
+  write(text) { this.output += text; }
+});
+
+// The lines a terminal shows after the tail was drawn, ignoring cursor movement
+const visibleLines = (output) => output.split(/\u001b\[\d+A/).pop()
+  .split('\n')
+  .map(line => line.replace(/\u001b\[\d*[A-Za-z]/g, ''))
+  .filter(Boolean);
+
+describe('createOutputDisplay', () => {
+  it('should pass on every line with the step name in verbose mode', () => {
+    const lines = [];
+    const display = createOutputDisplay({ verbose: true, label: 'install', stream: null, writeLine: line => lines.push(line) });
+
+    display.write(Buffer.from('added 812 pack'));
+    display.write(Buffer.from('ages in 41s\n\n\u001b[33mnpm WARN\u001b[39m deprecated glob@7.2.3\n'));
+    display.write('spinner\rfound 0 vulnerabilities');
+    display.done();
+
+    expect(lines).toEqual([
+      '   [install] added 812 packages in 41s',
+      '   [install] npm WARN deprecated glob@7.2.3',
+      '   [install] found 0 vulnerabilities'
+    ]);
+  });
+
+  it('should keep multi-byte characters split across chunks', () => {
+    const lines = [];
+    const display = createOutputDisplay({ verbose: true, stream: null, writeLine: line => lines.push(line) });
+    const bytes = Buffer.from('✓ built\n');
+
+    display.write(bytes.subarray(0, 1));
+    display.write(bytes.subarray(1));
+
+    expect(lines).toEqual(['   ✓ built']);
+  });
+
+  it('should redraw the last lines in place on a terminal and clear them when done', () => {
+    const stream = createStream();
+    let time = 0;
+    const display = createOutputDisplay({ label: 'package', stream, lines: 2, now: () => (time += 200) });
+
+    display.write('one\ntwo\n');
+    display.write('three\n');
+
+    expect(visibleLines(stream.output)).toEqual(['   [package] two', '   [package] three']);
+    expect(stream.output).toContain('\u001b[2A');
+
+    display.done();
+
+    expect(stream.output.endsWith('\u001b[2A\u001b[0J')).toBe(true);
+  });
+
+  it('should cut tail lines to the terminal width', () => {
+    const stream = createStream({ columns: 20 });
+    const display = createOutputDisplay({ stream });
+
+    display.write(`${'x'.repeat(50)}\n`);
+
+    expect(visibleLines(stream.output)).toEqual([`   ${'x'.repeat(16)}`]);
+  });
+
+  it('should show nothing when the stream is not a terminal', () => {
+    const stream = createStream({ isTTY: false });
+    const display = createOutputDisplay({ stream });
+
+    display.write('added 812 packages\n');
+    display.done();
+
+    expect(stream.output).toBe('');
+  });
+});
@@ -0,0 +1,98 @@
+// AI Summary: Tests for lib/desktop.js. Checks the XDG_DATA_HOME handling, the desktop entry
+// contents (quoted Exec, icon from the sources, owning installation), replacing earlier launcher
+// links but not other files, and reading both back, in a temp home directory.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import {
+  formatDesktopEntry,
+  getDesktopEntryPath,
+  isOnPath,
+  linkLauncher,
+  readDesktopIntegration,
+  writeDesktopEntry
+} from '../lib/desktop.js';
+
+describe('desktop integration', () => {
+  let homedir;
+  let installation;
+  let applicationPath;
+
+  beforeEach(async () => {
+    homedir = await fs.mkdtemp(path.join(os.tmpdir(), 'setup-athanor-desktop-test-'));
+    installation = path.join(homedir, 'athanor');
+    applicationPath = path.join(installation, 'out', 'Athanor-linux-x64', 'Athanor');
+    await fs.mkdir(path.dirname(applicationPath), { recursive: true });
+    await fs.writeFile(applicationPath, '');
+  });
+
+  afterEach(async () => {
+    await fs.rm(homedir, { recursive: true, force: true });
+  });
+
+  it('should put the desktop entry under XDG_DATA_HOME when it is absolute', () => {
+    expect(getDesktopEntryPath({ env: { XDG_DATA_HOME: '/data' }, homedir: '/home/me' }))
+      .toBe(path.join('/data', 'applications', 'athanor.desktop'));
+    expect(getDesktopEntryPath({ env: { XDG_DATA_HOME: 'relative' }, homedir: '/home/me' }))
+      .toBe(path.join('/home/me', '.local', 'share', 'applications', 'athanor.desktop'));
+    expect(getDesktopEntryPath({ env: {}, homedir: '/home/me' }))
+      .toBe(path.join('/home/me', '.local', 'share', 'applications', 'athanor.desktop'));
+  });
+
+  it('should quote the executable and escape what the Exec key treats specially', () => {
+    const entry = formatDesktopEntry({
+      applicationPath: '/home/me/My "Apps" 100%/Athanor',
+      iconPath: null,
+      installationPath: '/home/me/My "Apps" 100%'
+    });
+
+    expect(entry).toContain('Exec="/home/me/My \\\\"Apps\\\\" 100%%/Athanor"\n');
+    expect(entry).not.toContain('Icon=');
+    expect(entry.startsWith('[Desktop Entry]\nType=Application\nName=Athanor\n')).toBe(true);
+  });
+
+  it('should write the entry with the icon from the sources', async () => {
+    const iconPath = path.join(installation, 'resources', 'icon.png');
+    await fs.mkdir(path.dirname(iconPath), { recursive: true });
+    await fs.writeFile(iconPath, '');
+    const env = { XDG_DATA_HOME: path.join(homedir, 'data') };
+
+    const result = await writeDesktopEntry(installation, applicationPath, { env, homedir });
+
+    expect(result).toEqual({ entryPath: path.join(homedir, 'data', 'applications', 'athanor.desktop'), iconPath });
+    const entry = await fs.readFile(result.entryPath, 'utf8');
+    expect(entry).toContain(`Exec="${applicationPath}"`);
+    expect(entry).toContain(`Icon=${iconPath}`);
+    expect((await readDesktopIntegration({ env, homedir })).desktopEntry)
+      .toEqual({ path: result.entryPath, installationPath: installation });
+  });
+
+  it('should link the athanor command and replace an earlier link', async () => {
+    const launcherPath = path.join(homedir, '.local', 'bin', 'athanor');
+    await fs.mkdir(path.dirname(launcherPath), { recursive: true });
+    await fs.symlink('/opt/old-athanor/Athanor', launcherPath);
+
+    expect(await linkLauncher(applicationPath, { homedir })).toBe(launcherPath);
+
+    expect(await fs.readlink(launcherPath)).toBe(applicationPath);
+    expect((await readDesktopIntegration({ env: {}, homedir })).launcher)
+      .toEqual({ path: launcherPath, targetPath: applicationPath });
+  });
+
+  it('should leave a file that is not a link alone', async () => {
+    const launcherPath = path.join(homedir, '.local', 'bin', 'athanor');
+    await fs.mkdir(path.dirname(launcherPath), { recursive: true });
+    await fs.writeFile(launcherPath, '#!/bin/sh\n');
+
+    await expect(linkLauncher(applicationPath, { homedir })).rejects.toThrow('already exists and is not a link');
+    expect(await fs.readFile(launcherPath, 'utf8')).toBe('#!/bin/sh\n');
+  });
+
+  it('should tell whether a directory is on PATH', () => {
+    const binDir = path.join(homedir, '.local', 'bin');
+
+    expect(isOnPath(binDir, { PATH: ['/usr/bin', binDir].join(path.delimiter) })).toBe(true);
+    expect(isOnPath(binDir, { PATH: '/usr/bin' })).toBe(false);
+  });
+});
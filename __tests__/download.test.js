@@ -0,0 +1,318 @@
+// AI Summary: Tests for lib/download.js against a local HTTP server. Covers following redirect
+// chains (relative locations, loops, hop limit), streaming a file to disk with its SHA-256 and progress, retrying transient failures with backoff, giving up on
+// permanent errors, resuming interrupted downloads with HTTP Range (or restarting when the
+// server ignores it), timing out stalled transfers, and conditional revalidation of cached copies.
+
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { downloadFile, getResponse, getRetryDelay, isTransientError } from '../lib/download.js';
+
+const CONTENT = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+const CONTENT_SHA256 = crypto.createHash('sha256').update(CONTENT).digest('hex');
+const PROXY_ENV_VARS = ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy', 'NO_PROXY', 'no_proxy'];
+
+describe('downloadFile', () => {
+  let server;
+  let baseUrl;
+  let handler;
+  let requests;
+  let tempDir;
+  let filePath;
+  let savedProxyEnv;
+
+  const sendFull = (response) => {
+    response.writeHead(200, { 'Content-Length': CONTENT.length, ETag: '"v1"' });
+    response.end(CONTENT);
+  };
+
+  // Sends the first `length` bytes of a full response, then drops the connection
+  const sendTruncated = (response, length) => {
+    response.writeHead(200, { 'Content-Length': CONTENT.length, ETag: '"v1"' });
+    response.write(CONTENT.subarray(0, length));
+    setTimeout(() => response.socket.destroy(), 50);
+  };
+
+  // Answers a Range request with the rest of the content
+  const sendRest = (request, response) => {
+    const start = Number(/bytes=(\d+)-/.exec(request.headers.range)[1]);
+    response.writeHead(206, {
+      'Content-Length': CONTENT.length - start,
+      'Content-Range': `bytes ${start}-${CONTENT.length - 1}/${CONTENT.length}`,
+    });
+    response.end(CONTENT.subarray(start));
+  };
+
+  beforeAll(async () => {
+    savedProxyEnv = Object.fromEntries(PROXY_ENV_VARS.map(name => [name, process.env[name]]));
+    PROXY_ENV_VARS.forEach(name => delete process.env[name]);
+
+    server = http.createServer((request, response) => {
+      requests.push({ range: request.headers.range, ifRange: request.headers['if-range'] });
+      handler(request, response, requests.length);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    for (const [name, value] of Object.entries(savedProxyEnv)) {
+      if (value !== undefined) {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  beforeEach(async () => {
+    requests = [];
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'setup-athanor-download-test-'));
+    filePath = path.join(tempDir, 'archive.zip');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('redirects', () => {
+    const redirect = (response, statusCode, location) => {
+      response.writeHead(statusCode, { Location: location });
+      response.end();
+    };
+
+    it('should follow a chain of 301/302/303/307/308 redirects', async () => {
+      handler = (request, response) => {
+        const hops = {
+          '/start': [301, `${baseUrl}/a`],
+          '/a': [302, '/b'],
+          '/b': [303, 'c'],
+          '/c': [307, '/d?token=1'],
+          '/d?token=1': [308, '/final.zip'],
+        };
+        if (hops[request.url]) {
+          redirect(response, ...hops[request.url]);
+          return;
+        }
+        sendFull(response);
+      };
+
+      const result = await downloadFile(`${baseUrl}/start`, filePath);
+
+      expect(result.sha256).toBe(CONTENT_SHA256);
+      expect(requests).toHaveLength(6);
+    });
+
+    it('should detect redirect loops', async () => {
+      handler = (request, response) => redirect(response, 302, request.url === '/one' ? '/two' : '/one');
+
+      await expect(getResponse(`${baseUrl}/one`)).rejects.toMatchObject({
+        isRedirectError: true,
+        message: `Redirect loop detected: ${baseUrl}/two redirects back to ${baseUrl}/one`,
+      });
+    });
+
+    it('should give up after the maximum number of hops and name the last URL', async () => {
+      handler = (request, response) => redirect(response, 302, `/hop${Number(request.url.slice(4)) + 1}`);
+
+      await expect(getResponse(`${baseUrl}/hop0`, { maxRedirects: 3 })).rejects.toMatchObject({
+        isRedirectError: true,
+        url: `${baseUrl}/hop4`,
+        message: `Too many redirects (more than 3); gave up at ${baseUrl}/hop4`,
+      });
+      expect(requests).toHaveLength(4);
+    });
+
+    it('should reject a redirect without a Location header', async () => {
+      handler = (request, response) => {
+        response.writeHead(302);
+        response.end();
+      };
+
+      await expect(getResponse(`${baseUrl}/start`)).rejects.toMatchObject({ isRedirectError: true });
+    });
+
+    it('should report the final URL when the redirect target fails', async () => {
+      handler = (request, response) => {
+        if (request.url === '/start') {
+          redirect(response, 302, '/gone.zip');
+          return;
+        }
+        response.writeHead(404);
+        response.end();
+      };
+
+      await expect(getResponse(`${baseUrl}/start`)).rejects.toMatchObject({
+        statusCode: 404,
+        url: `${baseUrl}/gone.zip`,
+        message: `Failed to download: HTTP 404 from ${baseUrl}/gone.zip`,
+      });
+    });
+  });
+
+  it('should save the file, hash it and report progress', async () => {
+    handler = (request, response) => sendFull(response);
+    const progress = [];
+
+    const result = await downloadFile(`${baseUrl}/main.zip`, filePath, { onProgress: update => progress.push(update) });
+
+    expect(result).toEqual({ sha256: CONTENT_SHA256, size: CONTENT.length, etag: '"v1"', lastModified: null });
+    expect(await fs.readFile(filePath)).toEqual(CONTENT);
+    expect(progress[0]).toEqual({ received: 0, total: CONTENT.length });
+    expect(progress[progress.length - 1]).toEqual({ received: CONTENT.length, total: CONTENT.length });
+  });
+
+  it('should revalidate a cached copy with a conditional request', async () => {
+    handler = (request, response) => {
+      if (request.headers['if-none-match'] === '"v1"') {
+        response.writeHead(304);
+        response.end();
+        return;
+      }
+      sendFull(response);
+    };
+
+    const result = await downloadFile(`${baseUrl}/main.zip`, filePath, { validators: { etag: '"v1"', lastModified: null } });
+
+    expect(result).toEqual({ notModified: true });
+    await expect(fs.stat(filePath)).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it('should download again when the cached copy is outdated', async () => {
+    let conditions;
+    handler = (request, response) => {
+      conditions = [request.headers['if-none-match'], request.headers['if-modified-since']];
+      sendFull(response);
+    };
+
+    const result = await downloadFile(`${baseUrl}/main.zip`, filePath, {
+      validators: { etag: '"v0"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' }
+    });
+
+    expect(conditions).toEqual(['"v0"', 'Mon, 01 Jan 2024 00:00:00 GMT']);
+    expect(result).toMatchObject({ sha256: CONTENT_SHA256, etag: '"v1"' });
+  });
+
+  it('should retry transient HTTP errors with backoff', async () => {
+    handler = (request, response, count) => {
+      if (count < 3) {
+        response.writeHead(503);
+        response.end();
+        return;
+      }
+      sendFull(response);
+    };
+    const retries = [];
+
+    const result = await downloadFile(`${baseUrl}/main.zip`, filePath, {
+      retryDelay: 1,
+      onRetry: ({ attempt, delay, error }) => retries.push({ attempt, delay, statusCode: error.statusCode })
+    });
+
+    expect(result.sha256).toBe(CONTENT_SHA256);
+    expect(retries).toEqual([
+      { attempt: 1, delay: 1, statusCode: 503 },
+      { attempt: 2, delay: 2, statusCode: 503 },
+    ]);
+  });
+
+  it('should give up once the retries are used', async () => {
+    handler = (request, response) => {
+      response.writeHead(502);
+      response.end();
+    };
+
+    await expect(downloadFile(`${baseUrl}/main.zip`, filePath, { retries: 2, retryDelay: 1 }))
+      .rejects.toMatchObject({ statusCode: 502 });
+    expect(requests).toHaveLength(3);
+  });
+
+  it('should not retry permanent errors', async () => {
+    handler = (request, response) => {
+      response.writeHead(404);
+      response.end();
+    };
+
+    await expect(downloadFile(`${baseUrl}/main.zip`, filePath, { retryDelay: 1 }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(requests).toHaveLength(1);
+  });
+
+  it('should resume an interrupted download with a Range request', async () => {
+    handler = (request, response, count) => {
+      if (count === 1) {
+        sendTruncated(response, 10);
+        return;
+      }
+      sendRest(request, response);
+    };
+    const retries = [];
+
+    const result = await downloadFile(`${baseUrl}/main.zip`, filePath, {
+      retryDelay: 1,
+      onRetry: ({ resumeFrom, error }) => retries.push({ resumeFrom, code: error.code })
+    });
+
+    expect(retries).toEqual([{ resumeFrom: 10, code: 'ECONNRESET' }]);
+    expect(requests[1]).toEqual({ range: 'bytes=10-', ifRange: '"v1"' });
+    expect(result).toMatchObject({ sha256: CONTENT_SHA256, size: CONTENT.length });
+    expect(await fs.readFile(filePath)).toEqual(CONTENT);
+  });
+
+  it('should time out a stalled download and resume it', async () => {
+    handler = (request, response, count) => {
+      if (count === 1) {
+        // Sends part of the body, then nothing more
+        response.writeHead(200, { 'Content-Length': CONTENT.length, ETag: '"v1"' });
+        response.write(CONTENT.subarray(0, 10));
+        return;
+      }
+      sendRest(request, response);
+    };
+    const retries = [];
+
+    const result = await downloadFile(`${baseUrl}/main.zip`, filePath, {
+      retryDelay: 1,
+      timeout: 100,
+      onRetry: ({ resumeFrom, error }) => retries.push({ resumeFrom, code: error.code })
+    });
+
+    expect(retries).toEqual([{ resumeFrom: 10, code: 'ETIMEDOUT' }]);
+    expect(requests[1].range).toBe('bytes=10-');
+    expect(result).toMatchObject({ sha256: CONTENT_SHA256, size: CONTENT.length });
+  });
+
+  it('should time out a server that never answers', async () => {
+    handler = () => {};
+
+    await expect(downloadFile(`${baseUrl}/main.zip`, filePath, { retries: 1, retryDelay: 1, timeout: 100 }))
+      .rejects.toMatchObject({ code: 'ETIMEDOUT' });
+    expect(requests).toHaveLength(2);
+  });
+
+  it('should start over when the server ignores the Range request', async () => {
+    handler = (request, response, count) => (count === 1 ? sendTruncated(response, 10) : sendFull(response));
+
+    const result = await downloadFile(`${baseUrl}/main.zip`, filePath, { retryDelay: 1 });
+
+    expect(requests[1].range).toBe('bytes=10-');
+    expect(result).toMatchObject({ sha256: CONTENT_SHA256, size: CONTENT.length });
+    expect(await fs.readFile(filePath)).toEqual(CONTENT);
+  });
+});
+
+describe('retry policy', () => {
+  it('should treat resets, timeouts and gateway errors as transient', () => {
+    expect(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isTransientError(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }))).toBe(true);
+    expect(isTransientError({ statusCode: 504 })).toBe(true);
+    expect(isTransientError({ statusCode: 404 })).toBe(false);
+    expect(isTransientError(Object.assign(new Error('no host'), { code: 'ENOTFOUND' }))).toBe(false);
+  });
+
+  it('should double the delay for each retry, up to 30 seconds', () => {
+    expect([1, 2, 3, 4].map(attempt => getRetryDelay(attempt, 1000))).toEqual([1000, 2000, 4000, 8000]);
+    expect(getRetryDelay(10, 1000)).toBe(30000);
+  });
+});
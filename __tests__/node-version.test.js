@@ -0,0 +1,76 @@
+// AI Summary: Tests for lib/node-version.js. Reads engines ranges and pinned versions from a temp
+// directory and checks them against given Node.js versions.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import {
+  findUnmetRequirement,
+  getMinimumVersion,
+  readNodeRequirements
+} from '../lib/node-version.js';
+
+describe('readNodeRequirements', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'setup-athanor-node-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should return nothing when the sources state no requirement', async () => {
+    await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'athanor' }));
+
+    expect(await readNodeRequirements(tempDir)).toEqual([]);
+  });
+
+  it('should read engines.node, .nvmrc and .node-version', async () => {
+    await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ engines: { node: '>=20.0.0' } }));
+    await fs.writeFile(path.join(tempDir, '.nvmrc'), 'v20.11\n');
+    await fs.writeFile(path.join(tempDir, '.node-version'), '22');
+
+    expect(await readNodeRequirements(tempDir)).toEqual([
+      { source: 'package.json engines', range: '>=20.0.0' },
+      { source: '.nvmrc', range: '>=20.11.0' },
+      { source: '.node-version', range: '>=22.0.0' }
+    ]);
+  });
+
+  it('should skip version aliases it cannot check', async () => {
+    await fs.writeFile(path.join(tempDir, '.nvmrc'), 'lts/iron\n');
+
+    expect(await readNodeRequirements(tempDir)).toEqual([]);
+  });
+});
+
+describe('findUnmetRequirement', () => {
+  const requirements = [
+    { source: 'package.json engines', range: '^18.17.0 || >=20.3.0' },
+    { source: '.nvmrc', range: '>=20.11.0' }
+  ];
+
+  it('should return null when every requirement is met', () => {
+    expect(findUnmetRequirement(requirements, 'v20.12.2')).toBeNull();
+    expect(findUnmetRequirement([], 'v16.20.0')).toBeNull();
+  });
+
+  it('should return the first requirement that is not met', () => {
+    expect(findUnmetRequirement(requirements, 'v16.20.0')).toEqual(requirements[0]);
+    expect(findUnmetRequirement(requirements, 'v18.19.0')).toEqual(requirements[1]);
+  });
+
+  it('should ignore ranges it cannot parse', () => {
+    expect(findUnmetRequirement([{ source: 'package.json engines', range: 'latest please' }], 'v16.0.0')).toBeNull();
+  });
+});
+
+describe('getMinimumVersion', () => {
+  it('should return the lowest version in a range', () => {
+    expect(getMinimumVersion('>=20.3.0')).toBe('20.3.0');
+    expect(getMinimumVersion('^18.17.0 || >=20.3.0')).toBe('18.17.0');
+    expect(getMinimumVersion('not a range')).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+// AI Summary: Tests for lib/package-manager.js. Checks each manager's frozen-lockfile install and
+// run commands, the classification of install failures, and lockfile detection in a temp directory.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import {
+  LOCKFILE_NAMES,
+  PACKAGE_MANAGER_NAMES,
+  classifyInstallError,
+  detectPackageManager,
+  getPackageManager
+} from '../lib/package-manager.js';
+
+describe('getPackageManager', () => {
+  it('should install from the frozen lockfile with each manager', () => {
+    expect(getPackageManager('npm').installArgs).toEqual(['ci']);
+    expect(getPackageManager('pnpm').installArgs).toEqual(['install', '--frozen-lockfile']);
+    expect(getPackageManager('bun').installArgs).toEqual(['install', '--frozen-lockfile']);
+  });
+
+  it('should pick the yarn flag for the installed yarn version', () => {
+    expect(getPackageManager('yarn', '1.22.19').installArgs).toEqual(['install', '--frozen-lockfile']);
+    expect(getPackageManager('yarn', '4.1.1').installArgs).toEqual(['install', '--immutable']);
+  });
+
+  it('should run scripts and fall back to a regular install', () => {
+    for (const name of PACKAGE_MANAGER_NAMES) {
+      const manager = getPackageManager(name);
+      expect(manager.runArgs('package')).toEqual(['run', 'package']);
+      expect(manager.fallbackInstallArgs).toEqual(['install']);
+    }
+  });
+
+  it('should reject unknown managers', () => {
+    expect(() => getPackageManager('deno')).toThrow('Unsupported package manager: deno');
+  });
+});
+
+describe('classifyInstallError', () => {
+  it('should recognize lockfile problems for each manager', () => {
+    expect(classifyInstallError('npm', 'npm ERR! The package-lock.json file is invalid')).toBe('lockfile');
+    expect(classifyInstallError('pnpm', 'ERR_PNPM_OUTDATED_LOCKFILE  Cannot install')).toBe('lockfile');
+    expect(classifyInstallError('yarn', 'error Your lockfile needs to be updated')).toBe('lockfile');
+    expect(classifyInstallError('yarn', 'YN0028: The lockfile would have been modified')).toBe('lockfile');
+    expect(classifyInstallError('bun', 'error: lockfile had changes, but lockfile is frozen')).toBe('lockfile');
+  });
+
+  it('should recognize permission and network errors', () => {
+    expect(classifyInstallError('npm', 'npm ERR! code EACCES')).toBe('permission');
+    expect(classifyInstallError('pnpm', 'ERR_PNPM_META_FETCH_FAIL  GET https://registry.npmjs.org/x')).toBe('network');
+    expect(classifyInstallError('yarn', 'There appears to be trouble with your network connection')).toBe('network');
+    expect(classifyInstallError('bun', 'error: ConnectionRefused downloading package manifest')).toBe('network');
+  });
+
+  it('should return null for other failures', () => {
+    expect(classifyInstallError('npm', 'npm ERR! gyp failed')).toBeNull();
+  });
+});
+
+describe('detectPackageManager', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'setup-athanor-pm-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should return null without a lockfile', async () => {
+    expect(await detectPackageManager(tempDir)).toBeNull();
+  });
+
+  it('should detect the manager from its lockfile', async () => {
+    await fs.writeFile(path.join(tempDir, 'bun.lockb'), '');
+
+    expect(await detectPackageManager(tempDir)).toEqual({ name: 'bun', lockfile: 'bun.lockb' });
+  });
+
+  it('should prefer npm when several lockfiles are present', async () => {
+    await fs.writeFile(path.join(tempDir, 'yarn.lock'), '');
+    await fs.writeFile(path.join(tempDir, 'package-lock.json'), '{}');
+
+    expect(await detectPackageManager(tempDir)).toEqual({ name: 'npm', lockfile: 'package-lock.json' });
+  });
+
+  it('should list every lockfile', () => {
+    expect(LOCKFILE_NAMES).toEqual(expect.arrayContaining(['package-lock.json', 'pnpm-lock.yaml', 'yarn.lock', 'bun.lock']));
+  });
+});
@@ -0,0 +1,59 @@
+// AI Summary: Tests for lib/progress.js. Checks byte, duration and progress line formatting, and
+// that the reporter only draws on terminals, throttles redraws and ends its line when done.
+
+import { createProgressReporter, formatBytes, formatDuration, formatProgress } from '../lib/progress.js';
+
+describe('formatting', () => {
+  it('should format byte counts', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(27.1 * 1024 * 1024)).toBe('27.1 MB');
+  });
+
+  it('should format durations', () => {
+    expect(formatDuration(7.4)).toBe('7s');
+    expect(formatDuration(125)).toBe('2m05s');
+  });
+
+  it('should show a bar, percentage, throughput and ETA when the total is known', () => {
+    const line = formatProgress({ received: 512 * 1024, total: 1024 * 1024, bytesPerSecond: 256 * 1024 });
+
+    expect(line).toBe('[############------------]  50% 512.0 KB / 1.0 MB  256.0 KB/s  ETA 2s');
+  });
+
+  it('should show the received size and throughput when the total is unknown', () => {
+    expect(formatProgress({ received: 2048, total: null, bytesPerSecond: 1024 })).toBe('2.0 KB  1.0 KB/s');
+  });
+});
+
+describe('createProgressReporter', () => {
+  const createStream = (isTTY) => ({ isTTY, output: '', write(text) { this.output += text; } });
+
+  it('should not draw when the stream is not a terminal', () => {
+    const stream = createStream(false);
+    const reporter = createProgressReporter({ stream });
+
+    reporter.update({ received: 10, total: 100 });
+    reporter.done();
+
+    expect(stream.output).toBe('');
+  });
+
+  it('should redraw one line at most every 100ms and end it when done', () => {
+    const stream = createStream(true);
+    let time = 1000;
+    const reporter = createProgressReporter({ stream, now: () => time });
+
+    reporter.update({ received: 0, total: 100 });
+    time += 50;
+    reporter.update({ received: 10, total: 100 });
+    time += 950;
+    reporter.update({ received: 100, total: 100 });
+    reporter.done();
+
+    const lines = stream.output.split('\r').filter(Boolean);
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain('100% 100 B / 100 B  100 B/s');
+    expect(stream.output.endsWith('\n')).toBe(true);
+  });
+});
@@ -0,0 +1,70 @@
+// AI Summary: Tests for lib/state.js. Uses a real temporary directory to check that the install
+// checkpoint file is written, read back and interpreted (next step, completion) correctly.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import {
+  STATE_FILE_NAME,
+  createState,
+  getNextStep,
+  isInstallComplete,
+  markStepCompleted,
+  readState
+} from '../lib/state.js';
+
+describe('install state', () => {
+  let targetPath;
+
+  beforeEach(async () => {
+    targetPath = await fs.mkdtemp(path.join(os.tmpdir(), 'setup-athanor-state-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(targetPath, { recursive: true, force: true });
+  });
+
+  it('should create an empty state with install metadata', () => {
+    const state = createState({ ref: 'v1.0.0', source: 'zip', toolVersion: '1.2.3' });
+
+    expect(state).toEqual(expect.objectContaining({
+      tool: 'setup-athanor',
+      toolVersion: '1.2.3',
+      ref: 'v1.0.0',
+      source: 'zip',
+      completedSteps: [],
+    }));
+    expect(getNextStep(state)).toBe('fetch');
+    expect(isInstallComplete(state)).toBe(false);
+  });
+
+  it('should persist completed steps and read them back', async () => {
+    const state = createState({ source: 'git', toolVersion: '1.2.3' });
+
+    await markStepCompleted(targetPath, state, 'fetch');
+    await markStepCompleted(targetPath, state, 'fetch');
+    await markStepCompleted(targetPath, state, 'install');
+
+    const saved = await readState(targetPath);
+    expect(saved.completedSteps).toEqual(['fetch', 'install']);
+    expect(saved.ref).toBeNull();
+    expect(getNextStep(saved)).toBe('package');
+
+    await markStepCompleted(targetPath, saved, 'package');
+    const complete = await readState(targetPath);
+    expect(isInstallComplete(complete)).toBe(true);
+    expect(getNextStep(complete)).toBeNull();
+  });
+
+  it('should return null when there is no state file', async () => {
+    expect(await readState(targetPath)).toBeNull();
+  });
+
+  it('should return null for a corrupt or foreign state file', async () => {
+    await fs.writeFile(path.join(targetPath, STATE_FILE_NAME), '{ not json');
+    expect(await readState(targetPath)).toBeNull();
+
+    await fs.writeFile(path.join(targetPath, STATE_FILE_NAME), '{"steps": 3}');
+    expect(await readState(targetPath)).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+// AI Summary: Tests for lib/uninstall.js. Checks that only directories with the Athanor package
+// name and the setup-athanor state file count as installations, that only existing registered
+// paths are listed (the desktop entry and athanor command only when they belong to the
+// installation), and that removal goes on after a failure, in a temp directory.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { linkLauncher, writeDesktopEntry } from '../lib/desktop.js';
+import { findRegisteredPaths, getInstallationError, isWithin, removePaths } from '../lib/uninstall.js';
+
+describe('uninstall', () => {
+  let tempDir;
+  let target;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'setup-athanor-uninstall-test-'));
+    target = path.join(tempDir, 'athanor');
+    await fs.mkdir(target);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const writeJson = (name, value) => fs.writeFile(path.join(target, name), JSON.stringify(value));
+
+  it('should accept an installation set up by setup-athanor', async () => {
+    await writeJson('package.json', { name: 'athanor', version: '0.9.0' });
+    await writeJson('.setup-athanor-state.json', { tool: 'setup-athanor', completedSteps: ['fetch'] });
+
+    expect(await getInstallationError(target)).toBeNull();
+  });
+
+  it('should reject directories without the Athanor package', async () => {
+    expect(await getInstallationError(target)).toBe('It has no package.json.');
+
+    await writeJson('package.json', { name: 'my-project' });
+    expect(await getInstallationError(target)).toBe('Its package.json name is "my-project", not "athanor".');
+  });
+
+  it('should reject Athanor checkouts without the install state file', async () => {
+    await writeJson('package.json', { name: 'athanor' });
+
+    expect(await getInstallationError(target)).toMatch(/no \.setup-athanor-state\.json/);
+    expect(await getInstallationError(target, { requireState: false })).toBeNull();
+  });
+
+  it('should list only registered paths that exist', async () => {
+    const cacheHome = path.join(tempDir, 'cache');
+    const options = { purgeCache: true, env: { XDG_CACHE_HOME: cacheHome } };
+
+    expect(await findRegisteredPaths(target, options)).toEqual([]);
+
+    await fs.mkdir(path.join(cacheHome, 'setup-athanor'), { recursive: true });
+    expect(await findRegisteredPaths(target, options)).toEqual([
+      { description: 'Download cache', path: path.join(cacheHome, 'setup-athanor') }
+    ]);
+  });
+
+  it('should leave the shared download cache out unless it is purged', async () => {
+    const cacheHome = path.join(tempDir, 'cache');
+    await fs.mkdir(path.join(cacheHome, 'setup-athanor'), { recursive: true });
+
+    expect(await findRegisteredPaths(target, { env: { XDG_CACHE_HOME: cacheHome } })).toEqual([]);
+  });
+
+  it('should list the desktop entry and athanor command of this installation on Linux', async () => {
+    const options = { env: { XDG_CACHE_HOME: path.join(tempDir, 'cache') }, homedir: tempDir };
+    const applicationPath = path.join(target, 'out', 'Athanor-linux-x64', 'Athanor');
+    const { entryPath } = await writeDesktopEntry(target, applicationPath, options);
+    const launcherPath = await linkLauncher(applicationPath, options);
+
+    expect(await findRegisteredPaths(target, { ...options, platform: 'linux' })).toEqual([
+      { description: 'Desktop entry', path: entryPath },
+      { description: 'athanor command', path: launcherPath }
+    ]);
+    expect(await findRegisteredPaths(path.join(tempDir, 'other-athanor'), { ...options, platform: 'linux' })).toEqual([]);
+    expect(await findRegisteredPaths(target, { ...options, platform: 'darwin' })).toEqual([]);
+  });
+
+  it('should tell whether a path is inside a directory', () => {
+    expect(isWithin(target, target)).toBe(true);
+    expect(isWithin(target, path.join(target, 'out'))).toBe(true);
+    expect(isWithin(target, `${target}-old`)).toBe(false);
+    expect(isWithin(target, tempDir)).toBe(false);
+  });
+
+  it('should remove every path and report those that could not be removed', async () => {
+    await fs.writeFile(path.join(target, 'package.json'), '{}');
+    const invalid = path.join(tempDir, 'invalid\u0000name');
+
+    const { removed, failed } = await removePaths([invalid, target]);
+
+    expect(removed).toEqual([target]);
+    expect(failed.map(entry => entry.path)).toEqual([invalid]);
+    await expect(fs.stat(target)).rejects.toThrow();
+  });
+});
@@ -2,44 +2,182 @@
 
 // AI Summary: Main CLI script for setup-athanor. Clones Athanor repo and installs dependencies.
 // Uses execa for shell commands and chalk for colored output. Entry point for npx setup-athanor.
-// Fallback to ZIP download when Git is unavailable.
+// Fallback to ZIP download when Git is unavailable (through HTTPS_PROXY/HTTP_PROXY when set); the
+// archive is saved to a temp file and checked against --sha256/--sha256-url before extraction.
+// Downloads show progress and retry transient failures, resuming with HTTP Range (lib/download.js),
+// and are kept in a revalidated download cache (lib/cache.js; `--no-cache`, `cache clean`).
+// Sources default to GitHub and can be pointed at forks or mirrors with --repo/--zip-url
+// (lib/source.js), or at a local .zip, .tar.gz or source directory with --from for offline installs.
+// Supports `update <dir>` to refresh an existing installation, reusing the same
+// fetch/install/package steps, and `--ref` to pin a tag, branch or commit.
+// The confirmation prompt is skipped with `--yes` or on CI, and refused when stdin is not a TTY.
+// Arguments are parsed by lib/args.js, which declares all commands and options. Completed install
+// steps are checkpointed (lib/state.js) so a failed install can be continued with `--resume`;
+// anything a failed step created is rolled back (lib/cleanup.js) unless `--keep-on-failure` is given.
+// With --json, installs and updates report newline-delimited JSON events on stdout (lib/events.js)
+// and the human-readable output moves to stderr.
+// The install and update flows are exported as install() and update() for other Node tools: they
+// never prompt or exit, and reject with an InstallError (lib/errors.js); main() wraps them.
+// Dependency install and packaging show a rolling tail of their output, or all of it with
+// --verbose (lib/command-output.js). `uninstall <dir>` removes a verified installation and what
+// the installer created elsewhere (lib/uninstall.js). After packaging, the built application is
+// located in out/ (lib/artifact.js); a build that produced none fails the install. With --launch
+// (or when the user agrees), the application is then started detached from the installer. On
+// Linux, --desktop-entry and --bin-link add it to the applications menu and PATH (lib/desktop.js).
 
 import { execa } from 'execa';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs/promises';
-import https from 'https';
 import os from 'os';
 import { pipeline } from 'stream/promises';
 import unzipper from 'unzipper';
 import readline from 'readline';
 import { fileURLToPath } from 'url';
-import { realpathSync } from 'fs';
+import { createReadStream, realpathSync } from 'fs';
+import { createRequire } from 'module';
+import { ArgumentError, DEFAULT_DIRECTORY, formatUsage, parseArgs, validateDirectoryName, validateOptions } from './lib/args.js';
+import {
+  INSTALL_STEPS,
+  STATE_FILE_NAME,
+  createState,
+  getNextStep,
+  isInstallComplete,
+  markStepCompleted,
+  readState,
+  writeState
+} from './lib/state.js';
+import { CleanupTracker } from './lib/cleanup.js';
+import { getProxyForUrl, redactProxyUrl } from './lib/proxy.js';
+import { findExtractedDirectory, getArchiveType, isRemoteUrl, redactUrlCredentials, resolveSource, toLocalPath } from './lib/source.js';
+import { hashFile, parseChecksumFile, verifyChecksum } from './lib/checksum.js';
+import { DEFAULT_RETRIES, downloadFile, getResponse } from './lib/download.js';
+import { createProgressReporter, formatBytes, formatDuration } from './lib/progress.js';
+import { getCacheDir, isImmutableArchiveUrl, readCachedArchive, saveCachedArchive } from './lib/cache.js';
+import {
+  DEFAULT_PACKAGE_MANAGER,
+  classifyInstallError,
+  detectPackageManager,
+  getPackageManager
+} from './lib/package-manager.js';
+import { findUnmetRequirement, getMinimumVersion, readNodeRequirements } from './lib/node-version.js';
+import { STATUS, getCommandVersion, probePrerequisites, runDoctor } from './lib/doctor.js';
+import {
+  DEFAULT_MIN_FREE_SPACE,
+  DEFAULT_MIN_TEMP_SPACE,
+  findExistingDirectory,
+  findSpaceShortfalls,
+  getWriteError,
+  parseSize
+} from './lib/disk.js';
+import { createEventWriter, createProgressEmitter } from './lib/events.js';
+import { InstallError } from './lib/errors.js';
+import { LOG_DIRECTORY_NAME, createInstallLog, getDefaultLogPath } from './lib/install-log.js';
+import { createOutputDisplay } from './lib/command-output.js';
+import { BUILD_DIRECTORY_NAME, findBuiltApplication } from './lib/artifact.js';
+import { getLauncherPath, isOnPath, linkLauncher, writeDesktopEntry } from './lib/desktop.js';
+import { findRegisteredPaths, getInstallationError, isWithin, removePaths } from './lib/uninstall.js';
 
-const ATHANOR_REPO_URL = 'https://github.com/lacerbi/athanor.git';
-const ATHANOR_ZIP_URL = 'https://github.com/lacerbi/athanor/archive/refs/heads/main.zip';
+// The events, install log and logger of each install or update (see runCommand). Every run keeps
+// its own, so runs into different directories can proceed side by side in one process.
+const runs = new AsyncLocalStorage();
 
-export async function checkPrerequisites() {
-  const prerequisites = {
-    git: true,
-    npm: true
-  };
-  
-  // Check for Git
+// Outside a run (doctor, uninstall) there are no events or log, and output goes to the console
+const NO_RUN = {
+  events: createEventWriter({ stream: null }),
+  installLog: createInstallLog({ enabled: false }),
+  logger: console
+};
+
+function currentRun() {
+  return runs.getStore() || NO_RUN;
+}
+
+// Human-readable, chalk-colored output goes to the logger of the run in progress
+const output = {
+  log: message => currentRun().logger.log(message),
+  warn: message => currentRun().logger.warn(message),
+  error: message => currentRun().logger.error(message)
+};
+
+// install() and update() print nothing unless they are given a logger
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+// execa, recording the command, its exit code and its full output in the install log. onOutput
+// receives stdout and stderr chunks as they arrive.
+async function execLogged(file, args, execaOptions, { onOutput } = {}) {
+  const { installLog } = currentRun();
+  const startTime = Date.now();
+  installLog.command(file, args, execaOptions && execaOptions.cwd);
   try {
-    await execa('git', ['--version']);
+    const subprocess = execaOptions ? execa(file, args, execaOptions) : execa(file, args);
+    if (onOutput) {
+      for (const stream of [subprocess.stdout, subprocess.stderr]) {
+        if (stream) {
+          stream.on('data', onOutput);
+        }
+      }
+    }
+    const result = await subprocess;
+    installLog.result(result, Date.now() - startTime);
+    return result;
   } catch (error) {
-    prerequisites.git = false;
+    installLog.result(error, Date.now() - startTime);
+    throw error;
+  } finally {
+    await flushLog();
   }
-  
-  // Check for npm (Node.js)
+}
+
+// For commands that run for minutes: shows every output line with --verbose, otherwise a rolling
+// tail on the logger's terminal stream that is cleared when the command ends. Whoever receives the
+// events (--json, install()) gets no tail, which would redraw over their output.
+async function execWithOutput(file, args, execaOptions, options = {}) {
+  const { events, logger } = currentRun();
+  const display = options.verbose
+    ? createOutputDisplay({ verbose: true, label: events.step, writeLine: line => output.log(chalk.gray(line)) })
+    : createOutputDisplay({ label: events.step, stream: options.onEvent ? null : logger.stream || null, format: chalk.gray });
+  try {
+    return await execLogged(file, args, execaOptions, { onOutput: chunk => display.write(chunk) });
+  } finally {
+    display.done();
+  }
+}
+
+// A log that cannot be written is given up on rather than failing the install
+async function flushLog() {
+  const { installLog } = currentRun();
   try {
-    await execa('npm', ['--version']);
+    await installLog.flush();
   } catch (error) {
-    prerequisites.npm = false;
+    const logPath = installLog.filePath;
+    installLog.disable();
+    warn(`Could not write the install log to ${logPath}: ${error.message}`);
   }
-  
-  return prerequisites;
+}
+
+// Prints the red failure heading (the caller adds the details), reports it as an error event and
+// returns the InstallError for the caller to throw once the details are printed
+function reportFailure(code, heading, error, fields) {
+  const { events } = currentRun();
+  const message = heading.replace(/:$/, '');
+  output.error(chalk.red.bold(`\n❌ ${heading}`));
+  events.error(code, message, error, fields);
+  return new InstallError(message, { code, step: events.step, details: fields || null, cause: error || undefined });
+}
+
+function warn(message) {
+  output.warn(chalk.yellow(`Warning: ${message}`));
+  currentRun().events.warning(message);
+}
+
+// Probes git and the package manager that will install dependencies (npm unless one is chosen
+// with --package-manager), recording the probes in the install log. Resolves with
+// { git, [packageManager] } flags, as `doctor` reports them (lib/doctor.js).
+export async function checkPrerequisites(packageManager = DEFAULT_PACKAGE_MANAGER) {
+  return probePrerequisites(packageManager, execLogged);
 }
 
 export async function directoryExists(path) {
@@ -51,55 +189,203 @@ export async function directoryExists(path) {
   }
 }
 
-async function downloadAndExtract(targetPath) {
+// Archives are downloaded into the temp directory under this name before being extracted
+const ARCHIVE_FILE_NAME = '.athanor-archive.zip';
+
+// Archives are extracted into this subfolder of the temp directory, away from the downloaded
+// file, so an archive without a root folder can be moved into place as a whole
+const EXTRACT_DIRECTORY_NAME = 'extract';
+
+function extractZip(filePath, tempDir) {
+  return new Promise((resolve, reject) => {
+    const input = createReadStream(filePath);
+    const extractStream = unzipper.Extract({ path: tempDir });
+    
+    input.on('error', (error) => {
+      reject(error.code === 'ENOENT' ? new Error(`Archive not found: ${filePath}`) : error);
+    });
+    extractStream.on('error', reject);
+    extractStream.on('close', resolve);
+    
+    input.pipe(extractStream);
+  });
+}
+
+// .tar.gz archives are extracted with the system tar (bundled with Windows 10+, macOS and Linux)
+async function extractTarGz(filePath, tempDir) {
+  try {
+    await execLogged('tar', ['-xzf', filePath, '-C', tempDir]);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('Extracting .tar.gz archives requires the tar command, which was not found');
+    }
+    throw new Error(`Could not extract ${filePath}: ${error.stderr || error.message}`);
+  }
+}
+
+function extractArchive(filePath, tempDir) {
+  return getArchiveType(filePath) === 'tar.gz' ? extractTarGz(filePath, tempDir) : extractZip(filePath, tempDir);
+}
+
+// Downloads the archive at url to a file in tempDir, hashing it on the way, with a progress
+// line and retries for transient failures. Local archives are hashed where they are, and a
+// cached copy is used when the server reports it unchanged (or for immutable commit archives).
+// Resolves with { archivePath, sha256 }.
+async function fetchArchive(url, tempDir, options = {}) {
+  if (!isRemoteUrl(url)) {
+    const archivePath = toLocalPath(url);
+    try {
+      return { archivePath, sha256: await hashFile(archivePath) };
+    } catch (error) {
+      throw error.code === 'ENOENT' ? new Error(`Archive not found: ${archivePath}`) : error;
+    }
+  }
+  
+  const cacheDir = options.noCache ? null : getCacheDir();
+  const cached = cacheDir ? await readCachedArchive(cacheDir, url) : null;
+  if (cached && isImmutableArchiveUrl(url)) {
+    output.log(chalk.gray(`   Using cached archive (${formatBytes(cached.size)})`));
+    return { archivePath: cached.archivePath, sha256: cached.sha256 };
+  }
+  
+  const archivePath = path.join(tempDir, ARCHIVE_FILE_NAME);
+  // Whoever receives the events (--json, install()) gets progress events instead of the progress
+  // line, which is drawn on the logger's terminal stream
+  const { events, logger } = currentRun();
+  const progress = options.onEvent || !logger.stream
+    ? createProgressEmitter(events)
+    : createProgressReporter({ stream: logger.stream });
+  const startTime = Date.now();
+  
+  let result;
+  try {
+    result = await downloadFile(url, archivePath, {
+      retries: options.retries === undefined ? DEFAULT_RETRIES : Number(options.retries),
+      validators: cached,
+      onProgress: update => progress.update(update),
+      onRetry: ({ attempt, retries, delay, error, resumeFrom }) => {
+        progress.restart();
+        const reason = error.statusCode ? `HTTP ${error.statusCode}` : error.code;
+        const resume = resumeFrom > 0 ? `, resuming at ${formatBytes(resumeFrom)}` : '';
+        const message = `Download interrupted (${reason}); retry ${attempt} of ${retries} in ${formatDuration(delay / 1000)}${resume}...`;
+        output.log(chalk.yellow(`   ${message}`));
+        events.warning(message, { attempt, retries });
+      }
+    });
+  } catch (error) {
+    // Without a connection, an archive that could not be revalidated is better than none
+    if (cached && error.code && !error.statusCode) {
+      const message = `Could not check for a newer archive (${error.code}); using the cached copy.`;
+      output.log(chalk.yellow(`   ${message}`));
+      events.warning(message);
+      return { archivePath: cached.archivePath, sha256: cached.sha256 };
+    }
+    throw error;
+  } finally {
+    progress.done();
+  }
+  
+  if (result.notModified) {
+    output.log(chalk.gray(`   Using cached archive (${formatBytes(cached.size)}, not modified)`));
+    return { archivePath: cached.archivePath, sha256: cached.sha256 };
+  }
+  
+  output.log(chalk.gray(`   Downloaded ${formatBytes(result.size)} in ${formatDuration((Date.now() - startTime) / 1000)}`));
+  
+  if (cacheDir) {
+    try {
+      await saveCachedArchive(cacheDir, url, archivePath, result);
+    } catch (error) {
+      warn(`Could not save the archive to the download cache: ${error.message}`);
+    }
+  }
+  
+  return { archivePath, sha256: result.sha256 };
+}
+
+// The SHA-256 the archive must match: --sha256 as given, or the digest published in the
+// --sha256-url checksum file. Null when no checksum was requested.
+async function getExpectedSha256(archiveUrl, options) {
+  if (options.sha256) {
+    return options.sha256.toLowerCase();
+  }
+  if (!options.sha256Url) {
+    return null;
+  }
+  
+  let content;
+  try {
+    if (isRemoteUrl(options.sha256Url)) {
+      const response = await getResponse(options.sha256Url);
+      response.setEncoding('utf8');
+      content = '';
+      for await (const chunk of response) {
+        content += chunk;
+      }
+    } else {
+      content = await fs.readFile(toLocalPath(options.sha256Url), 'utf8');
+    }
+  } catch (error) {
+    error.message = `Could not read checksum file ${options.sha256Url}: ${error.message}`;
+    error.checksumUnavailable = true;
+    throw error;
+  }
+  
+  const archiveName = decodeURIComponent(archiveUrl.split(/[\\/]/).pop() || '');
+  return parseChecksumFile(content, archiveName);
+}
+
+async function downloadAndExtract(targetPath, source, options = {}) {
+  const { ref } = options;
   // Create temporary directory
   const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'athanor-download-'));
   
   try {
-    // Download ZIP file
-    await new Promise((resolve, reject) => {
-      https.get(ATHANOR_ZIP_URL, (response) => {
-        // Handle redirects
-        if (response.statusCode === 301 || response.statusCode === 302) {
-          https.get(response.headers.location, (redirectResponse) => {
-            if (redirectResponse.statusCode !== 200) {
-              reject(new Error(`Failed to download: HTTP ${redirectResponse.statusCode}`));
-              return;
-            }
-            
-            const extractStream = unzipper.Extract({ path: tempDir });
-            
-            extractStream.on('error', reject);
-            extractStream.on('close', resolve);
-            
-            redirectResponse.pipe(extractStream);
-          }).on('error', reject);
-          return;
-        }
-        
-        if (response.statusCode !== 200) {
-          reject(new Error(`Failed to download: HTTP ${response.statusCode}`));
-          return;
+    // Download ZIP file, moving on to the next candidate URL only when the ref is not found
+    const urls = source.zipUrls;
+    let archive;
+    let archiveUrl;
+    for (let i = 0; i < urls.length; i++) {
+      try {
+        archive = await fetchArchive(urls[i], tempDir, options);
+        archiveUrl = urls[i];
+        break;
+      } catch (error) {
+        if (error.statusCode !== 404 || i === urls.length - 1) {
+          if (error.statusCode === 404 && ref) {
+            error.message = `Ref not found: ${ref} (${error.message})`;
+            error.refNotFound = true;
+          }
+          throw error;
         }
-        
-        const extractStream = unzipper.Extract({ path: tempDir });
-        
-        extractStream.on('error', reject);
-        extractStream.on('close', resolve);
-        
-        response.pipe(extractStream);
-      }).on('error', reject);
-    });
+      }
+    }
+    
+    // Verify the archive before anything is extracted
+    output.log(chalk.gray(`   SHA-256: ${archive.sha256}`));
+    const expectedSha256 = await getExpectedSha256(archiveUrl, options);
+    if (expectedSha256) {
+      verifyChecksum(archive.sha256, expectedSha256);
+      output.log(chalk.green('✓ Checksum verified'));
+    }
     
-    // Find the extracted directory (should be 'athanor-main')
-    const tempContents = await fs.readdir(tempDir);
-    const extractedDir = tempContents.find(item => item.startsWith('athanor-'));
+    const extractDir = path.join(tempDir, EXTRACT_DIRECTORY_NAME);
+    await fs.mkdir(extractDir);
+    await extractArchive(archive.archivePath, extractDir);
+    
+    // Find the extracted directory (e.g. 'athanor-main', or '.' for an archive without one)
+    const extractedEntries = await fs.readdir(extractDir);
+    const extractedDir = findExtractedDirectory(extractedEntries, {
+      ref: source.customZip ? undefined : ref,
+      repoName: source.repoName,
+      anyRoot: source.custom
+    });
     
     if (!extractedDir) {
       throw new Error('Could not find extracted Athanor directory');
     }
     
-    const extractedPath = path.join(tempDir, extractedDir);
+    const extractedPath = path.join(extractDir, extractedDir);
     
     // Move the extracted directory to the target location
     await fs.rename(extractedPath, targetPath);
@@ -110,215 +396,1396 @@ async function downloadAndExtract(targetPath) {
       await fs.rm(tempDir, { recursive: true, force: true });
     } catch (cleanupError) {
       // Log warning but don't fail the entire operation
-      console.warn(chalk.yellow(`Warning: Could not clean up temporary directory: ${tempDir}`));
+      warn(`Could not clean up temporary directory: ${tempDir}`);
     }
   }
 }
 
-export async function main() {
-  console.log(chalk.blue.bold('\n🚀 Athanor Setup Bootstrapper\n'));
+// Top-level entries of a source directory that are never copied: build output and
+// install state belong to the installation they were created for
+const SKIPPED_SOURCE_ENTRIES = ['out', STATE_FILE_NAME, LOG_DIRECTORY_NAME];
 
-  try {
-    // Parse command line arguments
-    const targetDirectoryArg = process.argv[2];
-    const targetDirectoryName = targetDirectoryArg || 'athanor';
-    const fullTargetPath = path.resolve(targetDirectoryName);
+// Copies a local source directory (a checkout, or a folder holding an extracted 'athanor-*'
+// directory) to targetPath, leaving out dependencies and build output.
+async function copySourceDirectory(sourcePath, targetPath) {
+  const entries = await fs.readdir(sourcePath);
+  const root = entries.includes('package.json') ? '.' : findExtractedDirectory(entries, { anyRoot: true });
+  if (!root) {
+    throw new Error(`No Athanor sources found in ${sourcePath}`);
+  }
+  
+  const rootPath = path.join(sourcePath, root);
+  const relativeTarget = path.relative(rootPath, targetPath);
+  if (!relativeTarget || (!relativeTarget.startsWith('..') && !path.isAbsolute(relativeTarget))) {
+    throw new Error(`Cannot install into the source directory itself: ${rootPath}`);
+  }
+  
+  await fs.cp(rootPath, targetPath, {
+    recursive: true,
+    filter: (src) => path.basename(src) !== 'node_modules' && !SKIPPED_SOURCE_ENTRIES.includes(path.relative(rootPath, src))
+  });
+}
 
-    // Check prerequisites
-    console.log(chalk.cyan('Checking prerequisites...'));
-    const prerequisites = await checkPrerequisites();
-    
-    // npm is always required
-    if (!prerequisites.npm) {
-      console.error(chalk.red.bold('\n❌ Prerequisites check failed:'));
-      console.error(chalk.red('  • npm is not installed or not in PATH'));
-      console.error(chalk.yellow('\nPlease install Node.js and npm, then try again.'));
-      process.exit(1);
+// Gets the sources into targetPath from wherever `source` points: a local directory is copied,
+// and archives (downloaded or local) go through downloadAndExtract.
+async function fetchSources(targetPath, source, options = {}) {
+  if (source.fromPath) {
+    let stats;
+    try {
+      stats = await fs.stat(source.fromPath);
+    } catch {
+      throw new Error(`Source not found: ${source.fromPath}`);
     }
     
-    console.log(chalk.green('✓ Prerequisites check passed'));
+    if (stats.isDirectory()) {
+      if (options.sha256 || options.sha256Url) {
+        output.log(chalk.yellow('   Note: checksums only apply to archives; copying the directory as-is.'));
+      }
+      await copySourceDirectory(source.fromPath, targetPath);
+      return;
+    }
     
-    // Check if target directory already exists
-    if (await directoryExists(fullTargetPath)) {
-      console.error(chalk.red.bold(`\n❌ Directory already exists: ${fullTargetPath}`));
-      console.error(chalk.yellow('Please choose a different directory name or remove the existing directory.'));
-      process.exit(1);
+    if (!getArchiveType(source.fromPath)) {
+      throw new Error(`Unsupported archive type: ${source.fromPath} (expected .zip, .tar.gz or .tgz)`);
     }
+  }
+  
+  await downloadAndExtract(targetPath, source, options);
+}
 
-    console.log(chalk.green(`\n📁 Target directory: ${fullTargetPath}`));
+function getPackageJson() {
+  const require = createRequire(import.meta.url);
+  return require('./package.json');
+}
 
-    // Ask for user confirmation
-    console.log(chalk.cyan('\nThis will:'));
-    console.log(chalk.white('  • Clone the Athanor repository'));
-    console.log(chalk.white('  • Install all dependencies'));
-    console.log(chalk.white('  • Compile a native desktop application'));
-    console.log(chalk.white('  • Set up a ready-to-use Athanor installation'));
+export function getVersion() {
+  return getPackageJson().version;
+}
 
-    const confirmed = await new Promise((resolve) => {
-      const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
-      
-      rl.question(chalk.yellow('Do you want to proceed? (y/n) '), (answer) => {
-        rl.close();
-        resolve(answer.trim().toLowerCase() === 'y');
-      });
+export function isCI() {
+  const ci = process.env.CI;
+  return Boolean(ci) && ci !== 'false' && ci !== '0';
+}
+
+// Ask before making changes. Skips the prompt with --yes or on CI, and refuses to prompt
+// when stdin is not a terminal (where readline would hang or read an empty answer).
+// Resolves true to proceed and false when cancelled; throws when no answer is possible.
+async function confirmProceed(options) {
+  if (options.yes || isCI()) {
+    const reason = options.yes ? '--yes' : 'CI environment detected';
+    output.log(chalk.gray(`Proceeding without confirmation (${reason}).`));
+    return true;
+  }
+  
+  // The prompt would end up in the middle of the --json event stream
+  if (options.json) {
+    const failure = reportFailure('confirmation_required', 'Cannot ask for confirmation with --json.');
+    output.error(chalk.yellow('Re-run with --yes (or -y) to proceed without prompting.'));
+    throw failure;
+  }
+  
+  if (!process.stdin.isTTY) {
+    const failure = reportFailure('confirmation_required', 'Cannot ask for confirmation: stdin is not an interactive terminal.');
+    output.error(chalk.yellow('Re-run with --yes (or -y) to proceed without prompting.'));
+    throw failure;
+  }
+  
+  return askConfirmation('Do you want to proceed? (y/n) ');
+}
+
+// Offered when the target holds an unfinished install and --resume was not given
+async function confirmResume(state, fullTargetPath) {
+  output.log(chalk.yellow(`\n⚠️  Found an unfinished installation in ${fullTargetPath}`));
+  output.log(chalk.yellow(`   The previous run stopped before: ${STEP_LABELS[getNextStep(state)]}`));
+  return askConfirmation('Resume the previous installation? (y/n) ');
+}
+
+async function askConfirmation(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+    
+    rl.question(chalk.yellow(question), (answer) => {
+      rl.close();
+      resolve(answer.trim().toLowerCase() === 'y');
     });
+  });
+}
+
+async function ensurePrerequisites(options = {}) {
+  const { events } = currentRun();
+  events.stepStart('prerequisites', STEP_LABELS.prerequisites);
+  output.log(chalk.cyan('Checking prerequisites...'));
+  const packageManager = options.packageManager || DEFAULT_PACKAGE_MANAGER;
+  const prerequisites = await checkPrerequisites(packageManager);
+  
+  // The package manager is always required
+  if (!prerequisites[packageManager]) {
+    const failure = reportFailure('prerequisites_missing', 'Prerequisites check failed:', null, { missing: [packageManager] });
+    output.error(chalk.red(`  • ${packageManager} is not installed or not in PATH`));
+    output.error(chalk.yellow(packageManager === DEFAULT_PACKAGE_MANAGER
+      ? '\nPlease install Node.js and npm, then try again.'
+      : `\nPlease install ${packageManager} or choose another with --package-manager, then try again.`));
+    throw failure;
+  }
+  
+  output.log(chalk.green('✓ Prerequisites check passed'));
+  events.stepEnd('success', { git: prerequisites.git });
+  return prerequisites;
+}
+
+// Before Step 1: make sure the install cannot run out of space or permissions halfway. Checks free
+// space where the target is created (and in the temp directory when a ZIP archive will be
+// extracted there) against --min-free-space / --min-temp-space, and that files can be created.
+// Reports the exact shortfall and throws when a check fails.
+async function checkDiskPreflight(fullTargetPath, options = {}, { usesTempDir = false } = {}) {
+  // Without any existing directory on the path there is nothing to measure; fetching reports it
+  const targetDirectory = await findExistingDirectory(fullTargetPath);
+  if (!targetDirectory) return;
+  
+  const writeError = await getWriteError(targetDirectory);
+  if (writeError) {
+    const failure = reportFailure('target_not_writable', `Cannot create files in ${targetDirectory}`, writeError);
+    output.error(chalk.red(writeError.code ? `${writeError.code}: ${writeError.message}` : writeError.message));
+    output.error(chalk.yellow('Please choose a directory you can write to, or fix its permissions.'));
+    throw failure;
+  }
+  
+  const minFreeSpace = options.minFreeSpace === undefined ? DEFAULT_MIN_FREE_SPACE : parseSize(options.minFreeSpace);
+  const minTempSpace = options.minTempSpace === undefined ? DEFAULT_MIN_TEMP_SPACE : parseSize(options.minTempSpace);
+  const shortfalls = await findSpaceShortfalls([
+    { directory: targetDirectory, needed: minFreeSpace },
+    { directory: usesTempDir ? os.tmpdir() : null, needed: minTempSpace }
+  ]);
+  if (shortfalls.length === 0) {
+    return;
+  }
+  
+  const failure = reportFailure('insufficient_disk_space', 'Not enough free disk space', null, { shortfalls });
+  for (const { directories, free, needed } of shortfalls) {
+    output.error(chalk.red(`  • ${directories.join(' and ')}: ${formatBytes(free)} free, ${formatBytes(needed)} needed (${formatBytes(needed - free)} short)`));
+  }
+  output.error(chalk.yellow('Please free up space or install on another drive. To change the required space, use --min-free-space and --min-temp-space.'));
+  throw failure;
+}
 
-    if (!confirmed) {
-      console.log(chalk.red('\nInstallation cancelled.'));
-      process.exit(0);
-      return; // Ensure function stops in test environment where process.exit is mocked
+// Step 1: Get Athanor Repository (Git or ZIP fallback).
+// Steps report their own errors and throw the InstallError on failure; the caller rolls back.
+async function fetchRepository(useGit, targetDirectoryName, fullTargetPath, options = {}) {
+  const { ref } = options;
+  const source = resolveSource(options);
+  
+  if (source.fromPath) {
+    return fetchFromLocal(targetDirectoryName, fullTargetPath, source, options);
+  }
+  
+  if (useGit) {
+    output.log(chalk.cyan(`\n1. Cloning Athanor repository...`));
+    output.log(chalk.gray(`   From: ${redactUrlCredentials(source.repoUrl)}`));
+    output.log(chalk.gray(`   To: ./${targetDirectoryName}`));
+    if (ref) {
+      output.log(chalk.gray(`   Ref: ${ref}`));
     }
+    if (options.reference) {
+      output.log(chalk.gray(`   Reference: ${path.resolve(options.reference)}`));
+    }
+    noteChecksumNotApplied(options);
+    
+    const cloneSpinner = chalk.yellow('⏳ This may take a moment...');
+    output.log(cloneSpinner);
+    
+    try {
+      // --dissociate copies the borrowed objects, so the clone never depends on the mirror
+      const referenceArgs = options.reference
+        ? ['--reference-if-able', path.resolve(options.reference), '--dissociate']
+        : [];
+      await execLogged('git', ['clone', ...referenceArgs, source.repoUrl, targetDirectoryName]);
+      output.log(chalk.green('✓ Repository cloned successfully'));
+    } catch (error) {
+      const failure = reportFailure('clone_failed', 'Failed to clone repository', error);
+      if (error.stderr && error.stderr.includes('fatal: destination path')) {
+        output.error(chalk.red('The target directory already exists.'));
+      } else if (error.stderr && error.stderr.includes('Could not resolve host')) {
+        output.error(chalk.red(`Network error: Unable to reach ${source.custom ? redactUrlCredentials(source.repoUrl) : 'GitHub'}.`));
+        output.error(chalk.yellow('Please check your internet connection.'));
+      } else {
+        output.error(chalk.red(`Git error: ${redactUrlCredentials(error.stderr || error.message)}`));
+      }
+      throw failure;
+    }
+    
+    if (ref) {
+      try {
+        await execLogged('git', ['checkout', ref], { cwd: fullTargetPath });
+        output.log(chalk.green(`✓ Checked out ${ref}`));
+      } catch (error) {
+        const failure = reportFailure('ref_not_found', `Failed to check out ref: ${ref}`, error);
+        output.error(chalk.red(`Git error: ${redactUrlCredentials(error.stderr || error.message)}`));
+        output.error(chalk.yellow('Please check that the tag, branch or commit exists in the Athanor repository.'));
+        throw failure;
+      }
+    }
+  } else {
+    // Git not available - use ZIP download fallback
+    output.log(chalk.yellow.bold('\n⚠️  Git not found on your system.'));
+    output.log(chalk.yellow('   For better version control support, consider installing Git.'));
+    output.log(chalk.yellow('   Proceeding with ZIP download instead...\n'));
+    currentRun().events.warning('Git not found; downloading a ZIP archive instead.');
+    
+    output.log(chalk.cyan(`1. Downloading Athanor repository (ZIP)...`));
+    checkZipSource(source, ref);
+    output.log(chalk.gray(`   From: ${redactUrlCredentials(source.zipUrls[0])}`));
+    output.log(chalk.gray(`   To: ./${targetDirectoryName}`));
+    logProxy(source.zipUrls[0]);
+    
+    const downloadSpinner = chalk.yellow('⏳ Downloading and extracting...');
+    output.log(downloadSpinner);
+    
+    try {
+      await downloadAndExtract(fullTargetPath, source, options);
+      output.log(chalk.green('✓ Repository downloaded and extracted successfully'));
+    } catch (error) {
+      throw reportDownloadError(error, source);
+    }
+  }
+}
 
-    // Step 1: Get Athanor Repository (Git or ZIP fallback)
-    if (prerequisites.git) {
-      console.log(chalk.cyan(`\n1. Cloning Athanor repository...`));
-      console.log(chalk.gray(`   From: ${ATHANOR_REPO_URL}`));
-      console.log(chalk.gray(`   To: ./${targetDirectoryName}`));
-      
-      const cloneSpinner = chalk.yellow('⏳ This may take a moment...');
-      console.log(cloneSpinner);
+// Step 1 for offline installs (--from): no git and no network, just the local archive or directory
+async function fetchFromLocal(targetDirectoryName, fullTargetPath, source, options) {
+  output.log(chalk.cyan(`\n1. Copying Athanor sources from a local ${getArchiveType(source.fromPath) ? 'archive' : 'path'}...`));
+  output.log(chalk.gray(`   From: ${source.fromPath}`));
+  output.log(chalk.gray(`   To: ./${targetDirectoryName}`));
+  noteRefNotApplied(options.ref);
+  
+  try {
+    await fetchSources(fullTargetPath, source, options);
+    output.log(chalk.green('✓ Sources copied successfully'));
+  } catch (error) {
+    throw reportDownloadError(error, source, 'Failed to copy local sources');
+  }
+}
+
+function noteRefNotApplied(ref) {
+  if (ref) {
+    output.log(chalk.yellow(`   Note: --ref ${ref} does not apply to local sources; using them as-is.`));
+  }
+}
+
+// Reports sources that cannot be fetched as a ZIP, and warns when --ref cannot apply.
+// Throws when there is no archive to download.
+function checkZipSource(source, ref) {
+  if (source.zipUrls.length === 0) {
+    const failure = reportFailure('zip_unavailable', 'No ZIP download is available for this repository:');
+    output.error(chalk.red(`   ${redactUrlCredentials(source.repoUrl)}`));
+    output.error(chalk.yellow('Please install Git, or pass --zip-url (or set SETUP_ATHANOR_ZIP_URL) to an archive of the sources.'));
+    throw failure;
+  }
+  
+  if (source.customZip && ref) {
+    output.log(chalk.yellow(`   Note: --ref ${ref} does not apply to a custom ZIP archive; using the archive as-is.`));
+  }
+}
+
+// Checksums cover the ZIP archive only; git verifies the objects it fetches itself
+function noteChecksumNotApplied(options) {
+  if (options.sha256 || options.sha256Url) {
+    output.log(chalk.yellow(`   Note: ${options.sha256 ? '--sha256' : '--sha256-url'} only applies to ZIP downloads; Git verifies cloned objects itself.`));
+  }
+}
+
+function logProxy(url) {
+  if (!isRemoteUrl(url)) return;
+  const proxyUrl = getProxyForUrl(url);
+  if (proxyUrl) {
+    output.log(chalk.gray(`   Via proxy: ${redactProxyUrl(proxyUrl)}`));
+  }
+}
+
+// Errors that mean the server could not be reached at all
+const NETWORK_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+function getDownloadErrorCode(error) {
+  if (error.isProxyError) return 'proxy_error';
+  if (error.checksumMismatch) return 'checksum_mismatch';
+  if (error.checksumUnavailable) return 'checksum_unavailable';
+  if (error.refNotFound) return 'ref_not_found';
+  if (error.isRedirectError) return 'redirect_error';
+  if (error.statusCode) return 'http_error';
+  if (NETWORK_ERROR_CODES.includes(error.code)) return 'network_error';
+  return 'download_failed';
+}
+
+// Names the server a download failed on: GitHub for the default sources, otherwise the host of
+// the URL that failed (after redirects) or of the custom archive
+function describeDownloadServer(error, source) {
+  if (!source || !source.custom) {
+    return 'GitHub';
+  }
+  const url = error.url || source.zipUrls[0];
+  try {
+    return new URL(url).host || url;
+  } catch {
+    return redactUrlCredentials(url);
+  }
+}
+
+// Prints why a download or copy failed and returns the InstallError to throw
+function reportDownloadError(error, source, heading = 'Failed to download repository') {
+  const failure = reportFailure(getDownloadErrorCode(error), heading, error);
+  if (error.isProxyError) {
+    output.error(chalk.red(`Proxy error: ${error.message}`));
+    output.error(chalk.yellow('Please check your HTTPS_PROXY, HTTP_PROXY and NO_PROXY settings.'));
+  } else if (error.checksumMismatch) {
+    output.error(chalk.red(error.message));
+    output.error(chalk.yellow('The archive may be truncated or tampered with; nothing was extracted.'));
+  } else if (error.checksumUnavailable) {
+    output.error(chalk.red(error.message));
+  } else if (error.refNotFound) {
+    output.error(chalk.red(error.message));
+    output.error(chalk.yellow('Please check that the tag, branch or commit exists in the Athanor repository.'));
+  } else if (error.isRedirectError) {
+    output.error(chalk.red(`Redirect error: ${error.message}`));
+    output.error(chalk.yellow('Please check the download URL, or download the archive manually and pass it with --zip-url.'));
+  } else if (error.statusCode) {
+    // The server was reached and refused: a client error points at the URL, not the connection
+    const server = describeDownloadServer(error, source);
+    output.error(chalk.red(`HTTP error: ${server} answered with HTTP ${error.statusCode}.`));
+    if (error.url) {
+      output.error(chalk.gray(`   ${redactUrlCredentials(error.url)}`));
+    }
+    output.error(chalk.yellow(error.statusCode < 500
+      ? 'Please check that the download URL is correct and the archive is accessible.'
+      : 'The server may be temporarily unavailable; please try again later.'));
+  } else if (NETWORK_ERROR_CODES.includes(error.code)) {
+    output.error(chalk.red(`Network error: Unable to reach ${describeDownloadServer(error, source)} (${error.code}).`));
+    output.error(chalk.yellow('Please check your internet connection.'));
+  } else {
+    output.error(chalk.red(`Download error: ${redactUrlCredentials(error.message)}`));
+  }
+  return failure;
+}
+
+// Stops before dependencies are installed when the running Node.js does not meet what the fetched
+// sources ask for (engines, .nvmrc, .node-version). Throws after reporting the mismatch.
+async function checkNodeVersion(fullTargetPath, retryCommand) {
+  const unmet = findUnmetRequirement(await readNodeRequirements(fullTargetPath));
+  if (!unmet) return;
+  
+  const minimum = getMinimumVersion(unmet.range);
+  const failure = reportFailure('node_version_unsupported', `Athanor requires Node.js ${unmet.range} (from ${unmet.source}), but this is Node.js ${process.version}.`, null, {
+    required: unmet.range,
+    source: unmet.source,
+    current: process.version
+  });
+  output.error(chalk.yellow(minimum
+    ? `Please install Node.js ${minimum} or newer (for example: nvm install ${minimum.split('.')[0]}), then run: ${retryCommand}`
+    : `Please install a matching Node.js version, then run: ${retryCommand}`));
+  throw failure;
+}
+
+// Picks the package manager for the checkout in fullTargetPath: --package-manager, else the one
+// whose lockfile the checkout contains, else npm. A detected manager that is not installed falls
+// back to npm. The result also records how it was chosen, for the step 2 log.
+async function resolvePackageManager(fullTargetPath, options = {}) {
+  if (options.packageManager) {
+    const version = options.packageManager === DEFAULT_PACKAGE_MANAGER ? '' : await getCommandVersion(options.packageManager);
+    return getPackageManager(options.packageManager, version || '');
+  }
+  
+  const detected = await detectPackageManager(fullTargetPath);
+  if (!detected || detected.name === DEFAULT_PACKAGE_MANAGER) {
+    return getPackageManager(DEFAULT_PACKAGE_MANAGER);
+  }
+  
+  const version = await getCommandVersion(detected.name);
+  if (version === null) {
+    return { ...getPackageManager(DEFAULT_PACKAGE_MANAGER), unavailable: detected };
+  }
+  return { ...getPackageManager(detected.name, version), detectedFrom: detected.lockfile };
+}
+
+// Step 2: Install Dependencies with a frozen lockfile, falling back to a regular install when
+// the lockfile is missing or out of date. Throws on failure.
+async function installDependencies(fullTargetPath, packageManager, options = {}) {
+  const { events } = currentRun();
+  const { name, installArgs, fallbackInstallArgs } = packageManager;
+  output.log(chalk.cyan(`\n2. Installing dependencies...`));
+  if (packageManager.detectedFrom) {
+    output.log(chalk.gray(`   Using ${name} (found ${packageManager.detectedFrom})`));
+  } else if (packageManager.unavailable) {
+    output.log(chalk.yellow(`   Found ${packageManager.unavailable.lockfile}, but ${packageManager.unavailable.name} is not installed; using ${name} instead.`));
+  }
+  output.log(chalk.gray(`   Running ${name} ${installArgs.join(' ')} in the cloned directory`));
+  output.log(chalk.yellow('⏳ This may take several minutes...'));
+  
+  try {
+    // Install exactly what the lockfile records, for a clean, reproducible install
+    await execWithOutput(name, installArgs, { 
+      cwd: fullTargetPath,
+      stdio: ['inherit', 'pipe', 'pipe'] // Show package manager progress
+    }, options);
+    output.log(chalk.green('✓ Dependencies installed successfully'));
+  } catch (error) {
+    // Each manager reports lockfile, permission and network problems differently
+    const errorType = classifyInstallError(name, `${error.stderr || ''}\n${error.stdout || ''}`);
+    if (errorType === 'lockfile') {
+      // Not a failure yet: the regular install below may still succeed
+      output.error(chalk.red.bold('\n❌ Failed to install dependencies'));
+      events.warning(`${name} ${installArgs.join(' ')} failed on the lockfile; retrying with ${name} ${fallbackInstallArgs.join(' ')}`);
+      output.error(chalk.red(`Missing or invalid ${packageManager.lockfiles[0]} file.`));
+      output.error(chalk.yellow(`Attempting to use ${name} ${fallbackInstallArgs.join(' ')} instead...`));
       
+      // Fall back to a regular install, which can create or update the lockfile
       try {
-        await execa('git', ['clone', ATHANOR_REPO_URL, targetDirectoryName]);
-        console.log(chalk.green('✓ Repository cloned successfully'));
-      } catch (error) {
-        console.error(chalk.red.bold('\n❌ Failed to clone repository'));
-        if (error.stderr && error.stderr.includes('fatal: destination path')) {
-          console.error(chalk.red('The target directory already exists.'));
-        } else if (error.stderr && error.stderr.includes('Could not resolve host')) {
-          console.error(chalk.red('Network error: Unable to reach GitHub.'));
-          console.error(chalk.yellow('Please check your internet connection.'));
-        } else {
-          console.error(chalk.red(`Git error: ${error.stderr || error.message}`));
-        }
-        process.exit(1);
+        await execWithOutput(name, fallbackInstallArgs, { 
+          cwd: fullTargetPath,
+          stdio: ['inherit', 'pipe', 'pipe']
+        }, options);
+        output.log(chalk.green(`✓ Dependencies installed successfully (using ${name} ${fallbackInstallArgs.join(' ')})`));
+      } catch (installError) {
+        const message = `${name} ${fallbackInstallArgs.join(' ')} also failed`;
+        events.error('install_failed', message, installError);
+        output.error(chalk.red(`${message}:`));
+        output.error(chalk.red(installError.stderr || installError.message));
+        throw new InstallError(message, { code: 'install_failed', step: events.step, cause: installError });
       }
+    } else if (errorType === 'permission') {
+      const failure = reportFailure('install_permission_denied', 'Failed to install dependencies', error);
+      output.error(chalk.red('Permission denied error.'));
+      output.error(chalk.yellow(`You may need to fix ${name} permissions or use a Node version manager.`));
+      throw failure;
+    } else if (errorType === 'network') {
+      const failure = reportFailure('install_network_error', 'Failed to install dependencies', error);
+      output.error(chalk.red('Network error: Unable to download packages.'));
+      output.error(chalk.yellow('Please check your internet connection and package registry settings.'));
+      throw failure;
     } else {
-      // Git not available - use ZIP download fallback
-      console.log(chalk.yellow.bold('\n⚠️  Git not found on your system.'));
-      console.log(chalk.yellow('   For better version control support, consider installing Git.'));
-      console.log(chalk.yellow('   Proceeding with ZIP download instead...\n'));
-      
-      console.log(chalk.cyan(`1. Downloading Athanor repository (ZIP)...`));
-      console.log(chalk.gray(`   From: ${ATHANOR_ZIP_URL}`));
-      console.log(chalk.gray(`   To: ./${targetDirectoryName}`));
+      const failure = reportFailure('install_failed', 'Failed to install dependencies', error);
+      output.error(chalk.red(`${name} error: ${error.stderr || error.message}`));
+      output.error(chalk.yellow('To check your environment, run: npx setup-athanor doctor'));
+      throw failure;
+    }
+  }
+}
+
+// Step 3: Compile Application. Resolves with the path of the built application; throws on failure,
+// also when the build exits successfully without producing the application for this machine.
+async function packageApplication(fullTargetPath, targetDirectoryName, packageManager, options = {}) {
+  const runArgs = packageManager.runArgs('package');
+  output.log(chalk.cyan(`\n3. Compiling Athanor application...`));
+  output.log(chalk.gray('   Building native desktop application'));
+  output.log(chalk.yellow('⏳ This may take several minutes...'));
+  
+  try {
+    await execWithOutput(packageManager.name, runArgs, { 
+      cwd: fullTargetPath,
+      stdio: ['inherit', 'pipe', 'pipe']
+    }, options);
+  } catch (error) {
+    const failure = reportFailure('package_failed', 'Failed to compile application', error);
+    output.error(chalk.red(`Build error: ${error.stderr || error.message}`));
+    output.error(chalk.yellow('\nTo try again manually:'));
+    output.error(chalk.white(`  cd ${targetDirectoryName}`));
+    output.error(chalk.white(`  ${packageManager.name} ${runArgs.join(' ')}`));
+    output.error(chalk.yellow('To check for missing build tools, run: npx setup-athanor doctor'));
+    throw failure;
+  }
+  
+  const platform = os.platform();
+  const arch = os.arch();
+  const { applicationPath, outputEntries } = await findBuiltApplication(fullTargetPath, { platform, arch });
+  if (!applicationPath) {
+    const outputDir = path.join(fullTargetPath, BUILD_DIRECTORY_NAME);
+    const failure = reportFailure('application_not_found', 'The build did not produce an application', null, { platform, arch, outputEntries });
+    output.error(chalk.red(`${packageManager.name} ${runArgs.join(' ')} finished, but ${outputDir} has no application built for ${platform}-${arch}.`));
+    output.error(chalk.red(outputEntries.length > 0
+      ? `It contains: ${outputEntries.join(', ')}`
+      : `${outputDir} is empty or missing.`));
+    output.error(chalk.yellow('Check the build output in the log below, or run the build manually:'));
+    output.error(chalk.white(`  cd ${targetDirectoryName}`));
+    output.error(chalk.white(`  ${packageManager.name} ${runArgs.join(' ')}`));
+    throw failure;
+  }
+  
+  output.log(chalk.green('✓ Application compiled successfully'));
+  return applicationPath;
+}
+
+// Step 4: Success message and platform-specific instructions
+function printSuccess(fullTargetPath, applicationPath, headline) {
+  output.log(chalk.greenBright.bold(`\n✨ Success! ${headline}\n`));
+  output.log(chalk.white('📍 Location: ') + chalk.yellow(fullTargetPath));
+  
+  // Provide platform-specific instructions
+  const platform = os.platform();
+  output.log(chalk.white('\nYour compiled Athanor application is ready:'));
+  
+  switch (platform) {
+    case 'darwin': // macOS
+      output.log(chalk.bgGray.white(`  Open: ${applicationPath}  `));
+      output.log('');
+      output.log(chalk.yellow.bold('📋 macOS Users - Important:'));
+      output.log(chalk.yellow('   If macOS prevents opening (Gatekeeper), right-click the app'));
+      output.log(chalk.yellow('   and select "Open" to bypass the security warning.'));
+      break;
       
-      const downloadSpinner = chalk.yellow('⏳ Downloading and extracting...');
-      console.log(downloadSpinner);
+    default: // Windows, Linux and others
+      output.log(chalk.bgGray.white(`  Run: ${applicationPath}  `));
+      break;
+  }
+  
+  output.log('');
+}
+
+// --desktop-entry and --bin-link: make the built application easy to find on Linux. Failures only
+// warn, since the build itself succeeded; uninstall removes both again.
+async function integrateWithDesktop(fullTargetPath, applicationPath, options) {
+  if (!options.desktopEntry && !options.binLink) return;
+  if (os.platform() !== 'linux') {
+    warn('--desktop-entry and --bin-link are only supported on Linux; skipping them.');
+    return;
+  }
+  
+  if (options.desktopEntry) {
+    try {
+      const { entryPath, iconPath } = await writeDesktopEntry(fullTargetPath, applicationPath);
+      output.log(chalk.green(`🖥️  Added Athanor to the applications menu: ${entryPath}`));
+      if (!iconPath) {
+        warn('No icon found in the Athanor sources; the menu entry has none.');
+      }
+    } catch (error) {
+      warn(`Could not write the desktop entry: ${error.message}`);
+    }
+  }
+  
+  if (options.binLink) {
+    try {
+      const launcherPath = await linkLauncher(applicationPath);
+      output.log(chalk.green(`🔗 Linked the athanor command: ${launcherPath}`));
+      const binDir = path.dirname(getLauncherPath());
+      if (!isOnPath(binDir)) {
+        output.log(chalk.yellow(`   ${binDir} is not on your PATH; add it to run "athanor" from a terminal.`));
+      }
+    } catch (error) {
+      warn(`Could not link the athanor command: ${error.message}`);
+    }
+  }
+}
+
+// How to start the built application, for the same platforms as printSuccess
+function getLaunchCommand(applicationPath) {
+  switch (os.platform()) {
+    case 'darwin': // macOS: app bundles are opened, not executed
+      return { file: 'open', args: [applicationPath] };
       
-      try {
-        await downloadAndExtract(fullTargetPath);
-        console.log(chalk.green('✓ Repository downloaded and extracted successfully'));
-      } catch (error) {
-        console.error(chalk.red.bold('\n❌ Failed to download repository'));
-        if (error.message.includes('HTTP')) {
-          console.error(chalk.red('Network error: Unable to reach GitHub.'));
-          console.error(chalk.yellow('Please check your internet connection.'));
-        } else {
-          console.error(chalk.red(`Download error: ${error.message}`));
-        }
-        process.exit(1);
+    default: // Windows, Linux and others
+      return { file: applicationPath, args: [] };
+  }
+}
+
+// Starts Athanor with --launch, or when options.confirmLaunch (the CLI prompt) agrees. The
+// application is detached, so the installer can exit and free the terminal; failing to start it
+// only warns, since the build itself succeeded.
+async function offerLaunch(applicationPath, options) {
+  const launch = options.launch || (options.confirmLaunch && await options.confirmLaunch());
+  if (!launch) return;
+  
+  const { file, args } = getLaunchCommand(applicationPath);
+  const cwd = path.dirname(applicationPath);
+  currentRun().installLog.command(file, args, cwd);
+  try {
+    const subprocess = execa(file, args, { cwd, detached: true, stdio: 'ignore', windowsHide: false });
+    // Once it runs, how the application exits is no concern of the installer
+    subprocess.catch(() => {});
+    await new Promise((resolve, reject) => {
+      subprocess.once('spawn', resolve);
+      subprocess.once('error', reject);
+    });
+    subprocess.unref();
+    output.log(chalk.green('🚀 Athanor is starting...'));
+  } catch (error) {
+    warn(`Could not start Athanor: ${error.message}`);
+    output.log(chalk.yellow(`   Start it yourself: ${applicationPath}`));
+  }
+  await flushLog();
+}
+
+// The lockfile packageManager installs from in fullTargetPath, as { name, sha256 }, or null when
+// there is none. The state file records it after each successful dependency install.
+async function hashLockfile(fullTargetPath, packageManager) {
+  for (const name of packageManager.lockfiles) {
+    try {
+      const content = await fs.readFile(path.join(fullTargetPath, name));
+      return { name, sha256: crypto.createHash('sha256').update(content).digest('hex') };
+    } catch {
+      // Try the next one
+    }
+  }
+  return null;
+}
+
+// Replaces the source files of a ZIP-based installation with a fresh download (or --from copy),
+// keeping node_modules in place so an unchanged lockfile does not force a reinstall.
+async function refreshFromZip(fullTargetPath, source, options) {
+  const stagingDir = await fs.mkdtemp(path.join(path.dirname(fullTargetPath), '.athanor-update-'));
+  
+  try {
+    const stagedSource = path.join(stagingDir, 'source');
+    await fetchSources(stagedSource, source, options);
+    
+    const currentEntries = await fs.readdir(fullTargetPath);
+    for (const entry of currentEntries) {
+      if (entry === 'node_modules' || entry === STATE_FILE_NAME || entry === LOG_DIRECTORY_NAME) continue;
+      await fs.rm(path.join(fullTargetPath, entry), { recursive: true, force: true });
+    }
+    
+    const stagedEntries = await fs.readdir(stagedSource);
+    for (const entry of stagedEntries) {
+      await fs.rename(path.join(stagedSource, entry), path.join(fullTargetPath, entry));
+    }
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+async function isOnBranch(fullTargetPath) {
+  try {
+    await execLogged('git', ['symbolic-ref', '-q', 'HEAD'], { cwd: fullTargetPath });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const DOCTOR_SYMBOLS = {
+  [STATUS.ok]: chalk.green('✓'),
+  [STATUS.info]: chalk.blue('ℹ'),
+  [STATUS.warning]: chalk.yellow('⚠'),
+  [STATUS.error]: chalk.red('✗')
+};
+
+// `doctor`: report on everything an install into directory depends on, as text or JSON.
+// Exits with 1 when a check found a problem that would stop the install.
+async function runDoctorCommand(directory, options = {}) {
+  const report = await runDoctor({
+    targetPath: directory,
+    packageManager: options.packageManager || DEFAULT_PACKAGE_MANAGER,
+    nodeRange: getPackageJson().engines.node,
+    minFreeSpace: options.minFreeSpace === undefined ? DEFAULT_MIN_FREE_SPACE : parseSize(options.minFreeSpace)
+  });
+  
+  if (options.json) {
+    console.log(JSON.stringify({ version: getVersion(), ...report }, null, 2));
+  } else {
+    console.log(chalk.blue.bold('\n🩺 Athanor Setup Doctor\n'));
+    console.log(chalk.gray(`Target: ${report.target}\n`));
+    const width = Math.max(...report.checks.map(check => check.label.length));
+    for (const check of report.checks) {
+      console.log(`  ${DOCTOR_SYMBOLS[check.status]} ${chalk.white(check.label.padEnd(width))}  ${check.detail}`);
+      if (check.fix) {
+        console.log(chalk.yellow(`      Fix: ${check.fix}`));
       }
     }
+    
+    const { errors, warnings } = report.summary;
+    if (errors === 0 && warnings === 0) {
+      console.log(chalk.green('\n✓ No problems found'));
+    } else {
+      const counts = [
+        errors > 0 ? `${errors} problem${errors === 1 ? '' : 's'}` : null,
+        warnings > 0 ? `${warnings} warning${warnings === 1 ? '' : 's'}` : null
+      ].filter(Boolean).join(', ');
+      console.log((errors > 0 ? chalk.red : chalk.yellow)(`\nFound ${counts}`));
+    }
+  }
+  
+  if (report.summary.errors > 0) {
+    process.exit(1);
+  }
+}
+
+// `cache clean`: remove every cached download
+async function cleanCache() {
+  const cacheDir = getCacheDir();
+  
+  if (!(await directoryExists(cacheDir))) {
+    console.log(chalk.gray(`The download cache is already empty (${cacheDir}).`));
+    return;
+  }
+  
+  try {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+    console.log(chalk.green(`🧹 Removed the download cache: ${cacheDir}`));
+  } catch (error) {
+    console.error(chalk.red.bold(`\n❌ Could not remove the download cache: ${cacheDir}`));
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+}
+
+// `uninstall <dir>`: remove an installation, after checking that it is one, and what the installer
+// created for it elsewhere. Throws an InstallError when nothing or not everything was removed.
+async function runUninstallCommand(directory, options = {}) {
+  const fullTargetPath = path.resolve(directory);
+  
+  if (!(await directoryExists(fullTargetPath))) {
+    throw reportFailure('target_not_found', `Directory not found: ${fullTargetPath}`);
+  }
+  
+  const installationError = await getInstallationError(fullTargetPath);
+  if (installationError) {
+    const failure = reportFailure('not_an_installation', `Not an Athanor installation: ${fullTargetPath}`);
+    console.error(chalk.red(installationError));
+    console.error(chalk.yellow('Nothing was removed. Only folders set up by setup-athanor can be uninstalled.'));
+    throw failure;
+  }
+  
+  // A directory cannot be removed while it is in use as the working directory on Windows
+  if (isWithin(fullTargetPath, process.cwd())) {
+    const failure = reportFailure('target_in_use', `Cannot remove the directory you are in: ${fullTargetPath}`);
+    console.error(chalk.yellow(`Change to another directory, then run: npx setup-athanor uninstall ${fullTargetPath}`));
+    throw failure;
+  }
+  
+  const registered = await findRegisteredPaths(fullTargetPath, { purgeCache: options.purgeCache });
+  console.log(chalk.cyan('This will permanently remove:'));
+  console.log(chalk.white(`  • The Athanor installation: ${fullTargetPath}`));
+  for (const { description, path: registeredPath } of registered) {
+    console.log(chalk.white(`  • ${description}: ${registeredPath}`));
+  }
+  
+  await confirmChanges({ confirm: () => confirmProceed(options) }, 'Uninstall cancelled.');
+  
+  const { removed, failed } = await removePaths([fullTargetPath, ...registered.map(entry => entry.path)]);
+  for (const removedPath of removed) {
+    console.log(chalk.gray(`🧹 Removed ${removedPath}`));
+  }
+  if (failed.length > 0) {
+    const failure = reportFailure('uninstall_failed', 'Could not remove everything:', null, {
+      failed: failed.map(({ path: failedPath, error }) => ({ path: failedPath, message: error.message }))
+    });
+    for (const { path: failedPath, error } of failed) {
+      console.error(chalk.red(`  ${failedPath}: ${error.message}`));
+    }
+    console.error(chalk.yellow('Close Athanor and any program using these files, then run uninstall again.'));
+    throw failure;
+  }
+  
+  console.log(chalk.green.bold('\n✓ Athanor has been uninstalled.'));
+}
 
-    // Step 2: Install Dependencies
-    console.log(chalk.cyan(`\n2. Installing dependencies...`));
-    console.log(chalk.gray('   Running npm ci in the cloned directory'));
-    console.log(chalk.yellow('⏳ This may take several minutes...'));
+// Resolves unless options.confirm (the CLI prompt) declines the changes; then throws 'cancelled'
+async function confirmChanges(options, cancelledMessage) {
+  if (!options.confirm || await options.confirm()) return;
+  output.log(chalk.red(`\n${cancelledMessage}`));
+  throw new InstallError(cancelledMessage, { code: 'cancelled' });
+}
+
+// Update an existing installation in place: fast-forward (or re-download) the sources, reinstall
+// dependencies only when the lockfile differs from the one last installed, and repackage.
+async function runUpdate(options) {
+  const { events, installLog } = currentRun();
+  const { ref, directory: targetDirectoryName } = options;
+  const fullTargetPath = path.resolve(targetDirectoryName);
+  
+  const prerequisites = await ensurePrerequisites(options);
+  
+  events.stepStart('preflight', STEP_LABELS.preflight);
+  if (!(await directoryExists(fullTargetPath))) {
+    const failure = reportFailure('target_not_found', `Directory not found: ${fullTargetPath}`);
+    output.error(chalk.yellow('Run setup-athanor without "update" to create a new installation.'));
+    throw failure;
+  }
+  
+  // A ZIP installation's sources are replaced wholesale, so only a folder the installer created
+  // may be updated; a Git clone of Athanor is recognizable by itself
+  const isGitInstall = await directoryExists(path.join(fullTargetPath, '.git'));
+  const installationError = await getInstallationError(fullTargetPath, { requireState: !isGitInstall });
+  if (installationError) {
+    const failure = reportFailure('not_an_installation', `Not an Athanor installation: ${fullTargetPath}`);
+    output.error(chalk.red(installationError));
+    output.error(chalk.yellow('Nothing was changed. Only folders set up by setup-athanor can be updated.'));
+    throw failure;
+  }
+  
+  if (isGitInstall && !prerequisites.git) {
+    const failure = reportFailure('git_unavailable', 'This installation is a Git clone, but Git is not available.');
+    output.error(chalk.yellow('Please install Git, then try again.'));
+    throw failure;
+  }
+  
+  if (isGitInstall && options.from) {
+    const failure = reportFailure('invalid_source', '--from cannot update a Git clone.');
+    output.error(chalk.yellow(`Pull the new sources into ${targetDirectoryName} with Git, or reinstall into a new folder with --from.`));
+    throw failure;
+  }
+  
+  // Archives are extracted in the temp directory first, as for an install
+  const usesTempDir = !isGitInstall && (options.from ? getArchiveType(options.from) !== null : true);
+  await checkDiskPreflight(fullTargetPath, options, { usesTempDir });
+  events.stepEnd('success', { source: isGitInstall ? 'git' : 'zip' });
+  installLog.attach(getDefaultLogPath(fullTargetPath));
+  
+  // An archive does not say which version it holds, so without --ref a ZIP installation stays on
+  // the ref it was installed with, as a Git clone stays on its checkout
+  const state = await readState(fullTargetPath);
+  const sourceRef = ref || (!isGitInstall && state && state.ref) || undefined;
+  
+  output.log(chalk.green(`\n📁 Updating installation: ${fullTargetPath}`));
+  
+  output.log(chalk.cyan('\nThis will:'));
+  if (options.from) {
+    output.log(chalk.white(`  • Replace the Athanor sources with ${options.from}`));
+  } else if (sourceRef) {
+    output.log(chalk.white(isGitInstall
+      ? `  • Fetch the Athanor repository and check out ${ref}`
+      : `  • Download the Athanor sources at ${sourceRef} (ZIP)`));
+  } else {
+    output.log(chalk.white(isGitInstall
+      ? '  • Fetch and fast-forward the Athanor repository'
+      : '  • Download the latest Athanor sources (ZIP)'));
+  }
+  if (!isGitInstall) {
+    output.log(chalk.white(`  • Delete everything in ${fullTargetPath} except node_modules and replace it with the new sources`));
+  }
+  output.log(chalk.white('  • Reinstall dependencies if the lockfile changed'));
+  output.log(chalk.white('  • Recompile the native desktop application'));
+  
+  await confirmChanges(options, 'Update cancelled.');
+  
+  // Step 1: Bring the sources up to date
+  events.stepStart('fetch', STEP_LABELS.fetch);
+  if (isGitInstall) {
+    output.log(chalk.cyan(`\n1. Updating Athanor repository...`));
+    noteChecksumNotApplied(options);
     
+    let onBranch;
     try {
-      // Use npm ci for clean, reproducible install
-      await execa('npm', ['ci'], { 
-        cwd: fullTargetPath,
-        stdio: ['inherit', 'pipe', 'pipe'] // Show npm progress
-      });
-      console.log(chalk.green('✓ Dependencies installed successfully'));
-    } catch (error) {
-      console.error(chalk.red.bold('\n❌ Failed to install dependencies'));
+      if (ref) {
+        await execLogged('git', ['fetch', 'origin', '--tags'], { cwd: fullTargetPath });
+        await execLogged('git', ['checkout', ref], { cwd: fullTargetPath });
+      } else {
+        await execLogged('git', ['fetch', 'origin'], { cwd: fullTargetPath });
+      }
       
-      // Check for common npm errors
-      if (error.stderr && error.stderr.includes('package-lock.json')) {
-        console.error(chalk.red('Missing or invalid package-lock.json file.'));
-        console.error(chalk.yellow('Attempting to use npm install instead...'));
-        
-        // Fallback to npm install
-        try {
-          await execa('npm', ['install'], { 
-            cwd: fullTargetPath,
-            stdio: ['inherit', 'pipe', 'pipe']
-          });
-          console.log(chalk.green('✓ Dependencies installed successfully (using npm install)'));
-        } catch (installError) {
-          console.error(chalk.red('npm install also failed:'));
-          console.error(chalk.red(installError.stderr || installError.message));
-          process.exit(1);
-        }
-      } else if (error.stderr && error.stderr.includes('EACCES')) {
-        console.error(chalk.red('Permission denied error.'));
-        console.error(chalk.yellow('You may need to fix npm permissions or use a Node version manager.'));
-        process.exit(1);
+      // Tags and commits are fixed points; only a checked-out branch can be fast-forwarded
+      onBranch = await isOnBranch(fullTargetPath);
+      if (onBranch) {
+        await execLogged('git', ['merge', '--ff-only', '@{u}'], { cwd: fullTargetPath });
+      }
+    } catch (error) {
+      const failure = reportFailure('update_failed', 'Failed to update repository', error);
+      const unresolvedHost = error.stderr && /Could not resolve host: ([^\s']+)/.exec(error.stderr);
+      if (unresolvedHost) {
+        // The installation's origin, which need not be GitHub
+        output.error(chalk.red(`Network error: Unable to reach ${unresolvedHost[1]}.`));
+        output.error(chalk.yellow('Please check your internet connection.'));
+      } else if (ref && error.stderr && error.stderr.includes('pathspec')) {
+        output.error(chalk.red(`Ref not found: ${ref}`));
+        output.error(chalk.yellow('Please check that the tag, branch or commit exists in the Athanor repository.'));
+      } else if (error.stderr && /fast-forward/i.test(error.stderr)) {
+        output.error(chalk.red('Local changes prevent a fast-forward update.'));
+        output.error(chalk.yellow(`Commit, stash or discard your changes in ${targetDirectoryName}, then try again.`));
       } else {
-        console.error(chalk.red(`npm error: ${error.stderr || error.message}`));
-        process.exit(1);
+        output.error(chalk.red(`Git error: ${redactUrlCredentials(error.stderr || error.message)}`));
       }
+      throw failure;
+    }
+    
+    if (!onBranch && !ref) {
+      const failure = reportFailure('installation_pinned', 'This installation is pinned to a tag or commit.');
+      output.error(chalk.yellow(`To move to another version, run: npx setup-athanor update ${targetDirectoryName} --ref <tag|branch|sha>`));
+      throw failure;
+    }
+    output.log(chalk.green('✓ Repository updated successfully'));
+  } else {
+    const zipOptions = { ...options, ref: sourceRef };
+    const source = resolveSource(zipOptions);
+    if (source.fromPath) {
+      output.log(chalk.cyan(`\n1. Copying Athanor sources from ${source.fromPath}...`));
+      noteRefNotApplied(ref);
+    } else {
+      output.log(chalk.cyan(`\n1. Downloading ${sourceRef ? '' : 'latest '}Athanor repository (ZIP)...`));
+      checkZipSource(source, ref);
+      if (sourceRef && !ref && !source.customZip) {
+        output.log(chalk.gray(`   Version: ${sourceRef}, as installed (pass --ref to choose another)`));
+      }
+      output.log(chalk.gray(`   From: ${redactUrlCredentials(source.zipUrls[0])}`));
+      logProxy(source.zipUrls[0]);
+      output.log(chalk.yellow('⏳ Downloading and extracting...'));
     }
-
-    // Step 3: Compile Application
-    console.log(chalk.cyan(`\n3. Compiling Athanor application...`));
-    console.log(chalk.gray('   Building native desktop application'));
-    console.log(chalk.yellow('⏳ This may take several minutes...'));
     
     try {
-      await execa('npm', ['run', 'package'], { 
-        cwd: fullTargetPath,
-        stdio: ['inherit', 'pipe', 'pipe']
-      });
-      console.log(chalk.green('✓ Application compiled successfully'));
+      await refreshFromZip(fullTargetPath, source, zipOptions);
+      output.log(chalk.green(source.fromPath
+        ? '✓ Sources copied successfully'
+        : '✓ Repository downloaded and extracted successfully'));
     } catch (error) {
-      console.error(chalk.red.bold('\n❌ Failed to compile application'));
-      console.error(chalk.red(`Build error: ${error.stderr || error.message}`));
-      console.error(chalk.yellow('\nTo try again manually:'));
-      console.error(chalk.white(`  cd ${targetDirectoryName}`));
-      console.error(chalk.white(`  npm run package`));
-      process.exit(1);
+      throw reportDownloadError(error, source, source.fromPath ? 'Failed to copy local sources' : undefined);
+    }
+    
+    // Later updates follow the ref this one moved to
+    if (state && ref && state.ref !== ref && !source.fromPath && !source.customZip) {
+      state.ref = ref;
+      await saveState(fullTargetPath, state);
+    }
+  }
+  events.stepEnd('success');
+  
+  // Step 2: Reinstall dependencies only if the lockfile changed since the last successful install
+  events.stepStart('install', STEP_LABELS.install);
+  await checkNodeVersion(fullTargetPath, `npx setup-athanor update ${targetDirectoryName}`);
+  
+  const packageManager = await resolvePackageManager(fullTargetPath, options);
+  const lockfile = await hashLockfile(fullTargetPath, packageManager);
+  const installed = state && state.lockfile;
+  const hasNodeModules = await directoryExists(path.join(fullTargetPath, 'node_modules'));
+  if (lockfile && installed && installed.name === lockfile.name && installed.sha256 === lockfile.sha256 && hasNodeModules) {
+    output.log(chalk.cyan(`\n2. Installing dependencies...`));
+    output.log(chalk.green(`✓ ${lockfile.name} unchanged since the last install, skipping dependency installation`));
+    events.stepEnd('skipped', { reason: `${lockfile.name} unchanged` });
+  } else {
+    // Forget the installed lockfile first, so an install that fails is retried by the next update
+    if (installed) {
+      delete state.lockfile;
+      await saveState(fullTargetPath, state);
+    }
+    await installDependencies(fullTargetPath, packageManager, options);
+    if (state) {
+      state.lockfile = lockfile;
+      await saveState(fullTargetPath, state);
     }
+    events.stepEnd('success', { packageManager: packageManager.name });
+  }
+  
+  // Step 3: Recompile
+  events.stepStart('package', STEP_LABELS.package);
+  const applicationPath = await packageApplication(fullTargetPath, targetDirectoryName, packageManager, options);
+  events.stepEnd('success', { applicationPath });
+  
+  await integrateWithDesktop(fullTargetPath, applicationPath, options);
+  printSuccess(fullTargetPath, applicationPath, 'Athanor has been updated and recompiled!');
+  await offerLaunch(applicationPath, options);
+  return { path: fullTargetPath, applicationPath };
+}
 
-    // Step 4: Success message and platform-specific instructions
-    console.log(chalk.greenBright.bold('\n✨ Success! Athanor has been compiled and is ready to use!\n'));
-    console.log(chalk.white('📍 Location: ') + chalk.yellow(fullTargetPath));
+// Every step of an install or update, as reported in events; fetch, install and package are checkpointed
+const STEP_LABELS = {
+  prerequisites: 'Check prerequisites',
+  preflight: 'Check the target directory',
+  fetch: 'Fetch Athanor repository',
+  install: 'Install dependencies',
+  package: 'Compile Athanor application'
+};
+
+// A failed checkpoint write only costs the ability to resume, so it must not fail the install
+async function saveCheckpoint(fullTargetPath, state, step) {
+  try {
+    await markStepCompleted(fullTargetPath, state, step);
+    return true;
+  } catch (error) {
+    warn(`Could not write ${STATE_FILE_NAME}: ${error.message}`);
+    return false;
+  }
+}
+
+// What an update records (the ref it moved to, the lockfile it installed from) is saved the same way
+async function saveState(fullTargetPath, state) {
+  try {
+    await writeState(fullTargetPath, state);
+  } catch (error) {
+    warn(`Could not write ${STATE_FILE_NAME}: ${error.message}`);
+  }
+}
+
+// Undo what a failed install created, unless --keep-on-failure was given. Checkpointed steps
+// have already been released from the tracker, so their work survives for --resume.
+async function handleInstallFailure(cleanup, options, fullTargetPath, targetDirectoryName, state) {
+  const canResume = state && state.completedSteps.length > 0 && !cleanup.trackedPaths.includes(fullTargetPath);
+  
+  if (options.keepOnFailure) {
+    if (cleanup.trackedPaths.length > 0) {
+      output.error(chalk.yellow(`\nKeeping partially created files for debugging (--keep-on-failure): ${fullTargetPath}`));
+    }
+  } else {
+    const { removed, failed } = await cleanup.rollback();
+    for (const removedPath of removed) {
+      output.error(chalk.gray(`🧹 Removed partially created ${removedPath === fullTargetPath ? 'directory' : 'files'}: ${removedPath}`));
+    }
+    for (const { path: failedPath, error } of failed) {
+      warn(`Could not remove ${failedPath}: ${error.message}`);
+    }
+    if (removed.length > 0) {
+      output.error(chalk.gray('   Re-run with --keep-on-failure to keep them for debugging.'));
+    }
+  }
+  
+  if (canResume) {
+    output.error(chalk.yellow(`\nTo continue from the failed step, run: npx setup-athanor ${targetDirectoryName} --resume`));
+  }
+}
+
+// Called when the install target already exists. Returns the saved state when an unfinished
+// install should be resumed (via --resume or options.confirmResume); otherwise reports why the
+// directory cannot be used and throws.
+async function findResumableState(fullTargetPath, targetDirectoryName, options) {
+  const state = await readState(fullTargetPath);
+  const resumable = state && !isInstallComplete(state);
+  
+  if (resumable && options.ref && state.ref !== options.ref) {
+    const failure = reportFailure('resume_ref_mismatch', `The unfinished installation in ${fullTargetPath} was started with ${state.ref ? `--ref ${state.ref}` : 'the default branch'}.`);
+    output.error(chalk.yellow('Resume without --ref, or remove the directory to install a different version.'));
+    throw failure;
+  }
+  
+  if (resumable && options.resume) {
+    return state;
+  }
+  
+  if (resumable && options.confirmResume && await options.confirmResume(state)) {
+    return state;
+  }
+  
+  const failure = reportFailure('target_exists', `Directory already exists: ${fullTargetPath}`);
+  if (resumable) {
+    output.error(chalk.yellow(`To continue the unfinished installation, run: npx setup-athanor ${targetDirectoryName} --resume`));
+  } else {
+    output.error(chalk.yellow('Please choose a different directory name or remove the existing directory.'));
+    output.error(chalk.yellow(`To update an existing installation, run: npx setup-athanor update ${targetDirectoryName}`));
+  }
+  throw failure;
+}
+
+async function runInstall(options) {
+  const { events, installLog } = currentRun();
+  const targetDirectoryName = options.directory;
+  const fullTargetPath = path.resolve(targetDirectoryName);
+  // Set once the install starts creating files, so unexpected errors can roll back too
+  let onFailure = null;
+  
+  try {
+    // Check prerequisites
+    const prerequisites = await ensurePrerequisites(options);
     
-    // Provide platform-specific instructions
-    const platform = os.platform();
-    console.log(chalk.white('\nYour compiled Athanor application is ready:'));
+    // Check if target directory already exists, offering to resume an unfinished install
+    events.stepStart('preflight', STEP_LABELS.preflight);
+    let state = null;
+    if (await directoryExists(fullTargetPath)) {
+      state = await findResumableState(fullTargetPath, targetDirectoryName, options);
+    } else if (options.resume) {
+      output.log(chalk.gray(`No previous installation found at ${fullTargetPath}, starting a new one.`));
+    }
+
+    // The ZIP download and local archives are extracted in the temp directory first
+    const fetchPending = !(state && state.completedSteps.includes('fetch'));
+    const usesTempDir = fetchPending && (options.from ? getArchiveType(options.from) !== null : !prerequisites.git);
+    await checkDiskPreflight(fullTargetPath, options, { usesTempDir });
+    events.stepEnd('success', { resume: Boolean(state) });
+
+    if (state) {
+      output.log(chalk.green(`\n📁 Resuming installation in: ${fullTargetPath}`));
+      output.log(chalk.gray(`   Completed steps: ${state.completedSteps.join(', ')}`));
+    } else {
+      output.log(chalk.green(`\n📁 Target directory: ${fullTargetPath}`));
+
+      // Ask for user confirmation
+      output.log(chalk.cyan('\nThis will:'));
+      output.log(chalk.white(options.from
+        ? `  • Copy the Athanor sources from ${options.from}`
+        : '  • Clone the Athanor repository'));
+      output.log(chalk.white('  • Install all dependencies'));
+      output.log(chalk.white('  • Compile a native desktop application'));
+      output.log(chalk.white('  • Set up a ready-to-use Athanor installation'));
+
+      await confirmChanges(options, 'Installation cancelled.');
+    }
+
+    // The package manager depends on the fetched lockfile, so it is chosen once fetching is done
+    let packageManager = null;
+    const usePackageManager = async () => {
+      packageManager = packageManager || await resolvePackageManager(fullTargetPath, options);
+      return packageManager;
+    };
     
-    switch (platform) {
-      case 'darwin': // macOS
-        console.log(chalk.bgGray.white(`  Open: ${targetDirectoryName}/out/Athanor-darwin-*/Athanor.app  `));
-        console.log('');
-        console.log(chalk.yellow.bold('📋 macOS Users - Important:'));
-        console.log(chalk.yellow('   If macOS prevents opening (Gatekeeper), right-click the app'));
-        console.log(chalk.yellow('   and select "Open" to bypass the security warning.'));
-        break;
-        
-      case 'win32': // Windows
-        console.log(chalk.bgGray.white(`  Run: ${targetDirectoryName}\\out\\Athanor-win32-*\\Athanor.exe  `));
-        break;
+    // The Node.js requirement comes from the fetched sources too, and is checked before whichever
+    // build step runs first
+    let nodeVersionChecked = false;
+    const ensureNodeVersion = async () => {
+      if (!nodeVersionChecked) {
+        await checkNodeVersion(fullTargetPath, `npx setup-athanor ${targetDirectoryName} --resume`);
+        nodeVersionChecked = true;
+      }
+    };
+    
+    // Set by the package step, which always runs: an install is never resumed once it completed
+    let applicationPath = null;
+    const installSteps = {
+      fetch: () => fetchRepository(prerequisites.git, targetDirectoryName, fullTargetPath, options),
+      install: async () => {
+        await ensureNodeVersion();
+        await installDependencies(fullTargetPath, await usePackageManager(), options);
+        // Saved with the checkpoint, for update to tell whether the lockfile changed since
+        state.lockfile = await hashLockfile(fullTargetPath, await usePackageManager());
+      },
+      package: async () => {
+        await ensureNodeVersion();
+        applicationPath = await packageApplication(fullTargetPath, targetDirectoryName, await usePackageManager(), options);
+        return { applicationPath };
+      }
+    };
+    
+    // What each step creates, for rollback if it fails before being checkpointed
+    const stepOutputs = {
+      fetch: fullTargetPath,
+      install: path.join(fullTargetPath, 'node_modules'),
+      package: path.join(fullTargetPath, 'out')
+    };
+    
+    state = state || createState({
+      ref: options.ref,
+      source: options.from ? 'local' : prerequisites.git ? 'git' : 'zip',
+      toolVersion: getVersion()
+    });
+    
+    const cleanup = new CleanupTracker();
+    onFailure = () => handleInstallFailure(cleanup, options, fullTargetPath, targetDirectoryName, state);
+    
+    for (const [index, step] of INSTALL_STEPS.entries()) {
+      // Once the sources are fetched, the target directory is ours to keep the log in
+      if (step !== 'fetch') {
+        installLog.attach(getDefaultLogPath(fullTargetPath));
+      }
+      events.stepStart(step, STEP_LABELS[step]);
+      if (state.completedSteps.includes(step)) {
+        output.log(chalk.gray(`\n${index + 1}. ${STEP_LABELS[step]} — already completed, skipping`));
+        events.stepEnd('skipped', { reason: 'already completed' });
+        continue;
+      }
+      
+      await cleanup.trackIfNew(stepOutputs[step]);
+      let stepFields;
+      try {
+        stepFields = await installSteps[step]();
+      } catch (error) {
+        const failure = toInstallError(error);
+        events.stepEnd('failed');
+        throw failure;
+      }
+      events.stepEnd('success', stepFields);
+      
+      if (await saveCheckpoint(fullTargetPath, state, step)) {
+        cleanup.release(stepOutputs[step]);
+      }
+    }
+    onFailure = null;
+
+    await integrateWithDesktop(fullTargetPath, applicationPath, options);
+    printSuccess(fullTargetPath, applicationPath, 'Athanor has been compiled and is ready to use!');
+    await offerLaunch(applicationPath, options);
+    return { path: fullTargetPath, applicationPath };
+  } catch (error) {
+    const failure = toInstallError(error);
+    if (onFailure) {
+      await onFailure();
+    }
+    throw failure;
+  }
+}
+
+function printUnexpectedError(error) {
+  output.error(chalk.redBright.bold('\n❌ An unexpected error occurred:'));
+  output.error(chalk.red(error.stack || error.message));
+  output.error(chalk.yellow('\nIf this persists, please report an issue at the setup-athanor repository.'));
+}
+
+// Errors no step anticipated are reported as unexpected and wrapped, so install() and update()
+// only ever reject with an InstallError (or an ArgumentError for invalid options)
+function toInstallError(error) {
+  if (error instanceof InstallError || error instanceof ArgumentError) {
+    return error;
+  }
+  const { events } = currentRun();
+  printUnexpectedError(error);
+  events.error('unexpected_error', 'An unexpected error occurred', error);
+  return new InstallError(`An unexpected error occurred: ${error.message}`, { code: 'unexpected_error', step: events.step, cause: error });
+}
+
+// The target directories of the runs in progress: a directory takes one run at a time
+const activeTargets = new Set();
+
+// Where the log goes when the run failed before the target directory existed, or after it was
+// rolled back
+function getFallbackLogPath() {
+  return path.join(os.tmpdir(), `setup-athanor-${new Date().toISOString().replace(/[:.]/g, '-')}.log`);
+}
+
+// Shared by install() and update(): validates the options, sends the run's events to
+// options.onEvent and the install log and its output to options.logger, and ends the events with
+// the done event. A failure points to the log, also as the error's logFile.
+async function runCommand(command, run, options) {
+  const directory = options.directory || DEFAULT_DIRECTORY;
+  const directoryError = validateDirectoryName(directory);
+  if (directoryError) {
+    throw new ArgumentError(directoryError);
+  }
+  validateOptions(options);
+  const fullTargetPath = path.resolve(directory);
+  if (activeTargets.has(fullTargetPath)) {
+    throw new InstallError(`Another install or update is already running in ${fullTargetPath}`, { code: 'busy' });
+  }
+  
+  const { logger, ...loggedOptions } = options;
+  const installLog = createInstallLog();
+  if (options.logFile) {
+    installLog.attach(path.resolve(options.logFile));
+  }
+  installLog.environment({ version: getVersion(), command, target: fullTargetPath, options: loggedOptions });
+  const events = createEventWriter({
+    stream: null,
+    onEvent: (event) => {
+      installLog.event(event);
+      if (options.onEvent) {
+        options.onEvent(event);
+      }
+    }
+  });
+  
+  activeTargets.add(fullTargetPath);
+  try {
+    return await runs.run({ events, installLog, logger: logger || SILENT_LOGGER }, async () => {
+      try {
+        const result = await run({ ...options, directory });
+        events.finish(0);
+        await flushLog();
+        return result;
+      } catch (error) {
+        const failure = toInstallError(error);
+        if (failure.code === 'cancelled') {
+          events.finish(0, 'cancelled');
+          await flushLog();
+          throw failure;
+        }
         
-      default: // Linux and others
-        console.log(chalk.bgGray.white(`  Run: ${targetDirectoryName}/out/Athanor-linux-*/Athanor  `));
-        break;
+        events.finish(1);
+        const logInTarget = installLog.filePath === getDefaultLogPath(fullTargetPath);
+        if (!installLog.filePath || (logInTarget && !(await directoryExists(fullTargetPath)))) {
+          installLog.relocate(getFallbackLogPath());
+        }
+        await flushLog();
+        if (installLog.filePath) {
+          failure.logFile = installLog.filePath;
+          output.error(chalk.gray(`\n📄 Full log: ${installLog.filePath}`));
+          output.error(chalk.gray('   Please attach it when reporting a problem.'));
+        }
+        throw failure;
+      }
+    });
+  } finally {
+    activeTargets.delete(fullTargetPath);
+  }
+}
+
+export { ArgumentError, InstallError };
+
+// Installs Athanor into options.directory (default: athanor), as `npx setup-athanor` does. Takes
+// the CLI options in camelCase (ref, from, packageManager, resume, keepOnFailure, ...), plus:
+//   onEvent(event)        receives every step-start, step-end, progress, warning, error and done event
+//   confirm()             resolves false to cancel before anything is changed
+//   confirmResume(state)  resolves true to resume an unfinished install found in the directory
+//   confirmLaunch()       resolves true to start Athanor once it is built (launch: true always does)
+//   logger                receives the human-readable progress through log(), warn() and error(),
+//                         one chalk-colored message per call (console will do); its optional
+//                         stream is a terminal for the download progress line and command output
+// Without confirm, confirmResume and confirmLaunch nothing is asked, and without logger nothing is
+// printed. Resolves with { path, applicationPath }; rejects with an InstallError (an ArgumentError
+// for invalid options).
+export function install(options = {}) {
+  return runCommand('install', runInstall, options);
+}
+
+// Updates the installation in options.directory, as `npx setup-athanor update` does. Takes the
+// same options as install() except confirmResume, and resolves and rejects the same way.
+export function update(options = {}) {
+  return runCommand('update', runUpdate, options);
+}
+
+function writeEventLine(event) {
+  process.stdout.write(`${JSON.stringify(event)}\n`);
+}
+
+// The logger main() gives install() and update(): the console, drawing progress on stdout. With
+// --json stdout carries only the events, so everything meant for people goes to stderr.
+function createConsoleLogger({ json = false } = {}) {
+  return {
+    log: message => (json ? console.error(message) : console.log(message)),
+    warn: message => console.warn(message),
+    error: message => console.error(message),
+    stream: json ? null : process.stdout
+  };
+}
+
+export async function main() {
+  try {
+    // Parse command line arguments
+    const { command, action, directory, options } = parseArgs(process.argv.slice(2));
+    
+    if (options.help) {
+      console.log(formatUsage());
+      return;
     }
     
-    console.log('');
+    if (options.version) {
+      console.log(getVersion());
+      return;
+    }
+    
+    if (command === 'doctor') {
+      await runDoctorCommand(directory, options);
+      return;
+    }
+    
+    if (command === 'uninstall') {
+      await runUninstallCommand(directory, options);
+      return;
+    }
+    
+    if (command === 'cache' && action === 'clean') {
+      await cleanCache();
+      return;
+    }
+    
+    const logger = createConsoleLogger({ json: options.json });
+    logger.log(chalk.blue.bold('\n🚀 Athanor Setup Bootstrapper\n'));
+    
+    const interactive = process.stdin.isTTY && !options.yes && !options.json && !isCI();
+    await (command === 'update' ? update : install)({
+      ...options,
+      directory,
+      onEvent: options.json ? writeEventLine : null,
+      logger,
+      confirm: () => confirmProceed(options),
+      confirmResume: interactive ? (state) => confirmResume(state, path.resolve(directory)) : null,
+      confirmLaunch: interactive ? () => askConfirmation('Launch now? (y/n) ') : null
+    });
 
   } catch (error) {
+    if (error instanceof ArgumentError) {
+      console.error(chalk.red.bold(`\n❌ ${error.message}`));
+      console.error(chalk.yellow('Run "npx setup-athanor --help" for usage.'));
+      process.exit(1);
+      return;
+    }
+    
+    // Already reported by the install or update
+    if (error instanceof InstallError) {
+      process.exit(error.code === 'cancelled' ? 0 : 1);
+      return;
+    }
+    
     // Catch any unexpected errors
-    console.error(chalk.redBright.bold('\n❌ An unexpected error occurred:'));
-    console.error(chalk.red(error.stack || error.message));
-    console.error(chalk.yellow('\nIf this persists, please report an issue at the setup-athanor repository.'));
+    printUnexpectedError(error);
     process.exit(1);
   }
 }
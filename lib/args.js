@@ -0,0 +1,384 @@
+// AI Summary: Command-line argument parsing for setup-athanor. Declares every command and option
+// in one place (COMMANDS, OPTIONS), parses argv into { command, [action,] directory, options },
+// validates directory names and option values (also for install()) and generates the --help usage
+// text from the same declarations.
+
+import { PACKAGE_MANAGER_NAMES } from './package-manager.js';
+import { parseSize } from './disk.js';
+
+export const DEFAULT_DIRECTORY = 'athanor';
+
+export class ArgumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArgumentError';
+  }
+}
+
+// Subcommands selected by the first positional argument. Anything else is a directory
+// name for the default `install` command. Commands with `actions` take one of them as their
+// next positional argument instead of a directory; commands with `json: false` have no --json output.
+export const COMMANDS = {
+  update: {
+    usage: 'update [directory]',
+    description: 'Update an existing installation in [directory]'
+  },
+  uninstall: {
+    usage: 'uninstall [directory]',
+    description: 'Remove the installation in [directory] and what setup-athanor created for it elsewhere',
+    json: false
+  },
+  doctor: {
+    usage: 'doctor [directory]',
+    description: 'Check this machine for problems that would stop an install into [directory]'
+  },
+  cache: {
+    usage: 'cache clean',
+    description: 'Remove cached downloads',
+    actions: ['clean'],
+    json: false
+  }
+};
+
+// Every option the CLI understands. `type: 'string'` options take a value, given either
+// as the next argument or as `--name=value`; `validate` returns an error message or null.
+// Parsed options are keyed by the camelCase form of their name (--keep-on-failure -> keepOnFailure).
+export const OPTIONS = [
+  {
+    name: 'ref',
+    type: 'string',
+    valueName: '<tag|branch|sha>',
+    description: 'Install a specific Athanor tag, branch or commit',
+    validate: (value) => (/\s/.test(value) || value.startsWith('-')
+      ? '--ref requires a tag, branch or commit SHA'
+      : null)
+  },
+  {
+    name: 'repo',
+    type: 'string',
+    valueName: '<url|path>',
+    description: 'Clone from this git repository instead of GitHub (env: SETUP_ATHANOR_REPO)',
+    validate: (value) => (value.startsWith('-') ? '--repo requires a git URL or local path' : null)
+  },
+  {
+    name: 'zip-url',
+    type: 'string',
+    valueName: '<url|path>',
+    description: 'Download sources from this ZIP archive when Git is unavailable (env: SETUP_ATHANOR_ZIP_URL)',
+    validate: (value) => {
+      const scheme = value.match(/^([a-z][a-z0-9+.-]*):\/\//i);
+      if (value.startsWith('-') || (scheme && !['http', 'https', 'file'].includes(scheme[1].toLowerCase()))) {
+        return '--zip-url requires an http(s) URL, a file:// URL or a local path';
+      }
+      return null;
+    }
+  },
+  {
+    name: 'from',
+    type: 'string',
+    valueName: '<path>',
+    description: 'Install offline from a local .zip, .tar.gz or source directory',
+    validate: (value) => (value.startsWith('-') ? '--from requires a path to an archive or directory' : null)
+  },
+  {
+    name: 'sha256',
+    type: 'string',
+    valueName: '<hex>',
+    description: 'Verify the downloaded ZIP archive against this SHA-256 checksum',
+    validate: (value) => (/^[0-9a-f]{64}$/i.test(value) ? null : '--sha256 requires a 64-character hexadecimal SHA-256 digest')
+  },
+  {
+    name: 'sha256-url',
+    type: 'string',
+    valueName: '<url|path>',
+    description: 'Verify the downloaded ZIP archive against the checksum published in this file',
+    validate: (value) => (value.startsWith('-') ? '--sha256-url requires a URL or local path' : null)
+  },
+  {
+    name: 'retries',
+    type: 'string',
+    valueName: '<n>',
+    description: 'Retry an interrupted ZIP download up to <n> times (default: 3)',
+    validate: (value) => (/^\d+$/.test(value) && Number(value) <= 10 ? null : '--retries requires a whole number from 0 to 10')
+  },
+  {
+    name: 'no-cache',
+    type: 'boolean',
+    description: 'Download the ZIP archive again instead of using or filling the download cache'
+  },
+  {
+    name: 'purge-cache',
+    type: 'boolean',
+    description: 'With uninstall, also remove the download cache shared by all installations'
+  },
+  {
+    name: 'reference',
+    type: 'string',
+    valueName: '<path>',
+    description: 'Borrow objects from a local Git mirror when cloning, to save bandwidth',
+    validate: (value) => (value.startsWith('-') ? '--reference requires a path to a local Git repository' : null)
+  },
+  {
+    name: 'package-manager',
+    type: 'string',
+    valueName: '<npm|pnpm|yarn|bun>',
+    description: 'Install dependencies with this package manager (default: detected from the lockfile, else npm)',
+    validate: (value) => (PACKAGE_MANAGER_NAMES.includes(value)
+      ? null
+      : `--package-manager must be one of: ${PACKAGE_MANAGER_NAMES.join(', ')}`)
+  },
+  {
+    name: 'min-free-space',
+    type: 'string',
+    valueName: '<size>',
+    description: 'Free space required where Athanor is installed, e.g. 6GB (default: 4GB; 0 skips the check)',
+    validate: (value) => (parseSize(value) === null ? '--min-free-space requires a size such as 4GB or 500MB' : null)
+  },
+  {
+    name: 'min-temp-space',
+    type: 'string',
+    valueName: '<size>',
+    description: 'Free space required in the temp directory for the ZIP download (default: 1GB; 0 skips the check)',
+    validate: (value) => (parseSize(value) === null ? '--min-temp-space requires a size such as 1GB or 500MB' : null)
+  },
+  {
+    name: 'resume',
+    type: 'boolean',
+    description: 'Continue an unfinished installation from its first incomplete step'
+  },
+  {
+    name: 'keep-on-failure',
+    type: 'boolean',
+    description: 'Keep partially created files when the install fails'
+  },
+  {
+    name: 'log-file',
+    type: 'string',
+    valueName: '<path>',
+    description: 'Write the install log here instead of <directory>/.setup-athanor/install.log',
+    validate: (value) => (value.startsWith('-') ? '--log-file requires a file path' : null)
+  },
+  {
+    name: 'desktop-entry',
+    type: 'boolean',
+    description: 'Linux: add Athanor to the applications menu ($XDG_DATA_HOME/applications)'
+  },
+  {
+    name: 'bin-link',
+    type: 'boolean',
+    description: 'Linux: link an athanor command into ~/.local/bin'
+  },
+  {
+    name: 'launch',
+    type: 'boolean',
+    description: 'Start Athanor once it is built (otherwise you are asked in a terminal)'
+  },
+  {
+    name: 'verbose',
+    type: 'boolean',
+    description: 'Show all output of the dependency install and build as it runs'
+  },
+  {
+    name: 'json',
+    type: 'boolean',
+    description: 'Print newline-delimited JSON events (the doctor report as JSON)'
+  },
+  {
+    name: 'yes',
+    alias: 'y',
+    type: 'boolean',
+    description: 'Skip the confirmation prompt (implied when CI is set)'
+  },
+  {
+    name: 'help',
+    alias: 'h',
+    type: 'boolean',
+    description: 'Show this help and exit'
+  },
+  {
+    name: 'version',
+    alias: 'v',
+    type: 'boolean',
+    description: 'Show the setup-athanor version and exit'
+  }
+];
+
+// Pairs of options that contradict each other
+const CONFLICTING_OPTIONS = [
+  ['sha256', 'sha256-url'],
+  ['from', 'repo'],
+  ['from', 'zip-url']
+];
+
+// Characters that cannot appear in file names on at least one supported platform
+const INVALID_PATH_CHARS = /[<>:"|?*\u0000-\u001f]/;
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+// Returns an error message for an unusable installation directory, or null if it is valid.
+// Nested and relative paths are allowed; each path segment is checked on its own.
+export function validateDirectoryName(directory) {
+  if (!directory || !directory.trim()) {
+    return 'Directory name cannot be empty';
+  }
+
+  // Drive letters (C:\) are the one place a colon is legitimate
+  const withoutDrive = directory.replace(/^[a-zA-Z]:(?=[\\/])/, '');
+  const segments = withoutDrive.split(/[\\/]+/).filter(Boolean);
+
+  for (const segment of segments) {
+    if (INVALID_PATH_CHARS.test(segment)) {
+      return `Invalid directory name "${directory}": it contains characters that are not allowed in file names`;
+    }
+    if (WINDOWS_RESERVED_NAMES.test(segment)) {
+      return `Invalid directory name "${directory}": "${segment}" is a reserved name on Windows`;
+    }
+  }
+
+  if (segments.length > 0 && segments[segments.length - 1] === '..') {
+    return `Invalid directory name "${directory}": please name the installation folder explicitly`;
+  }
+
+  return null;
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function findOption(arg) {
+  if (arg.startsWith('--')) {
+    const name = arg.slice(2).split('=')[0];
+    return OPTIONS.find(option => option.name === name);
+  }
+  return OPTIONS.find(option => option.alias && arg === `-${option.alias}`);
+}
+
+// Checks camelCased option values, as parseArgs() returns them or as they are passed to install(),
+// against the validators and conflicts declared above. Throws an ArgumentError for the first problem.
+export function validateOptions(options) {
+  for (const option of OPTIONS) {
+    const value = options[toCamelCase(option.name)];
+    if (option.type !== 'string' || value === undefined || value === null) continue;
+    const validationError = option.validate ? option.validate(String(value)) : null;
+    if (validationError) {
+      throw new ArgumentError(validationError);
+    }
+  }
+
+  for (const [first, second] of CONFLICTING_OPTIONS) {
+    if (options[toCamelCase(first)] && options[toCamelCase(second)]) {
+      throw new ArgumentError(`Options --${first} and --${second} cannot be used together`);
+    }
+  }
+}
+
+export function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    // Everything after `--` is positional, so directories starting with '-' remain possible
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const option = findOption(arg);
+    if (!option) {
+      throw new ArgumentError(`Unknown option: ${arg.split('=')[0]}`);
+    }
+
+    const inlineValue = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : undefined;
+
+    if (option.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new ArgumentError(`Option --${option.name} does not take a value`);
+      }
+      options[toCamelCase(option.name)] = true;
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (!value || (inlineValue === undefined && value.startsWith('-'))) {
+      throw new ArgumentError(`Option --${option.name} requires a value ${option.valueName}`);
+    }
+
+    const validationError = option.validate ? option.validate(value) : null;
+    if (validationError) {
+      throw new ArgumentError(validationError);
+    }
+
+    options[toCamelCase(option.name)] = value;
+  }
+
+  validateOptions(options);
+
+  let command = 'install';
+  if (positionals.length > 0 && Object.hasOwn(COMMANDS, positionals[0])) {
+    command = positionals.shift();
+  }
+
+  const { actions, json = true } = COMMANDS[command] || {};
+  if (options.json && !json) {
+    throw new ArgumentError(`The ${command} command does not support --json`);
+  }
+
+  if (actions) {
+    const action = positionals.shift();
+    if (!action) {
+      throw new ArgumentError(`The ${command} command requires an action: ${actions.join(', ')}`);
+    }
+    if (!actions.includes(action)) {
+      throw new ArgumentError(`Unknown ${command} action: ${action} (expected: ${actions.join(', ')})`);
+    }
+    if (positionals.length > 0) {
+      throw new ArgumentError(`Unexpected argument: ${positionals[0]}`);
+    }
+    return { command, action, directory: null, options };
+  }
+
+  if (positionals.length > 1) {
+    throw new ArgumentError(`Unexpected argument: ${positionals[1]}`);
+  }
+
+  const directory = positionals[0] || DEFAULT_DIRECTORY;
+  const directoryError = validateDirectoryName(directory);
+  if (directoryError) {
+    throw new ArgumentError(directoryError);
+  }
+
+  return { command, directory, options };
+}
+
+export function formatUsage() {
+  const commandLines = [
+    { usage: '[directory]', description: `Install Athanor into [directory] (default: ${DEFAULT_DIRECTORY})` },
+    ...Object.values(COMMANDS)
+  ].map(command => `  ${command.usage.padEnd(26)}${command.description}`);
+
+  const optionLabels = OPTIONS.map(option => {
+    const flags = option.alias ? `-${option.alias}, --${option.name}` : `    --${option.name}`;
+    return option.valueName ? `${flags} ${option.valueName}` : flags;
+  });
+  const width = Math.max(...optionLabels.map(label => label.length)) + 2;
+  const optionLines = OPTIONS.map(
+    (option, i) => `  ${optionLabels[i].padEnd(width)}${option.description}`
+  );
+
+  return [
+    'Usage: npx setup-athanor [command] [directory] [options]',
+    '',
+    'Commands:',
+    ...commandLines,
+    '',
+    'Options:',
+    ...optionLines
+  ].join('\n');
+}
@@ -0,0 +1,47 @@
+// AI Summary: Finds the application that `npm run package` (Electron Forge) built in out/: the
+// <Name>-<platform>-<arch> folder for this machine and the executable in it (Name.app on macOS,
+// Name.exe on Windows, Name or its lowercase form elsewhere). Also returns what out/ holds, so a
+// build that exited 0 without producing the application can be diagnosed.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+export const BUILD_DIRECTORY_NAME = 'out';
+
+// File names the executable can have in a build folder, most likely first
+function getExecutableNames(appName, platform) {
+  if (platform === 'darwin') {
+    return [`${appName}.app`];
+  }
+  if (platform === 'win32') {
+    return [`${appName}.exe`];
+  }
+  return [...new Set([appName, appName.toLowerCase()])];
+}
+
+async function listDirectory(directory) {
+  try {
+    return await fs.readdir(directory);
+  } catch {
+    return [];
+  }
+}
+
+// Returns { applicationPath, outputEntries }: the absolute path of the application built for
+// platform and arch (null when there is none) and the entries of out/ (empty when it is missing).
+export async function findBuiltApplication(targetPath, { platform = os.platform(), arch = os.arch() } = {}) {
+  const outputDir = path.join(targetPath, BUILD_DIRECTORY_NAME);
+  const outputEntries = (await listDirectory(outputDir)).sort();
+  const suffix = `-${platform}-${arch}`;
+
+  for (const entry of outputEntries.filter(name => name.endsWith(suffix))) {
+    const appName = entry.slice(0, -suffix.length);
+    const contents = await listDirectory(path.join(outputDir, entry));
+    const executable = getExecutableNames(appName, platform).find(name => contents.includes(name));
+    if (executable) {
+      return { applicationPath: path.join(outputDir, entry, executable), outputEntries };
+    }
+  }
+  return { applicationPath: null, outputEntries };
+}
@@ -0,0 +1,83 @@
+// AI Summary: Persistent download cache for ZIP archives, under $XDG_CACHE_HOME/setup-athanor
+// (or the platform's cache folder). Entries are keyed by URL and store the ETag/Last-Modified
+// validators for conditional revalidation; archives of a full commit SHA never change and are
+// reused without asking the server. Cached files are re-hashed before use.
+
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { hashFile } from './checksum.js';
+
+export function getCacheDir(env = process.env, platform = os.platform()) {
+  if (env.XDG_CACHE_HOME) {
+    return path.join(env.XDG_CACHE_HOME, 'setup-athanor');
+  }
+  if (platform === 'win32' && env.LOCALAPPDATA) {
+    return path.join(env.LOCALAPPDATA, 'setup-athanor', 'Cache');
+  }
+  if (platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Caches', 'setup-athanor');
+  }
+  return path.join(os.homedir(), '.cache', 'setup-athanor');
+}
+
+// GitHub archives of a full commit SHA always have the same contents
+export function isImmutableArchiveUrl(url) {
+  return /\/archive\/[0-9a-f]{40}\.zip$/i.test(url);
+}
+
+function getEntryPaths(cacheDir, url) {
+  const key = crypto.createHash('sha256').update(url).digest('hex');
+  const base = path.join(cacheDir, 'archives', key);
+  return { archivePath: `${base}.zip`, metadataPath: `${base}.json` };
+}
+
+// Returns { archivePath, sha256, size, etag, lastModified } for a usable cached copy of url,
+// or null when there is none or it no longer matches its recorded checksum.
+export async function readCachedArchive(cacheDir, url) {
+  const { archivePath, metadataPath } = getEntryPaths(cacheDir, url);
+
+  let metadata;
+  try {
+    metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+  } catch {
+    return null;
+  }
+  if (!metadata || metadata.url !== url || !metadata.sha256) {
+    return null;
+  }
+
+  try {
+    if ((await hashFile(archivePath)) !== metadata.sha256) {
+      await removeCachedArchive(cacheDir, url);
+      return null;
+    }
+  } catch {
+    return null;
+  }
+
+  return {
+    archivePath,
+    sha256: metadata.sha256,
+    size: metadata.size,
+    etag: metadata.etag || null,
+    lastModified: metadata.lastModified || null
+  };
+}
+
+// Copies a completed download into the cache. Copying (rather than renaming) keeps working
+// when the temp directory and the cache are on different file systems.
+export async function saveCachedArchive(cacheDir, url, filePath, { sha256, size, etag, lastModified }) {
+  const { archivePath, metadataPath } = getEntryPaths(cacheDir, url);
+  await fs.mkdir(path.dirname(archivePath), { recursive: true });
+  await fs.copyFile(filePath, archivePath);
+  const metadata = { url, sha256, size, etag: etag || null, lastModified: lastModified || null, savedAt: new Date().toISOString() };
+  await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2) + '\n', 'utf8');
+}
+
+export async function removeCachedArchive(cacheDir, url) {
+  const { archivePath, metadataPath } = getEntryPaths(cacheDir, url);
+  await fs.rm(archivePath, { force: true });
+  await fs.rm(metadataPath, { force: true });
+}
@@ -0,0 +1,46 @@
+// AI Summary: SHA-256 verification for downloaded archives. Provides hashing of local files,
+// parsing of sidecar checksum files (a bare digest or `sha256sum` output) and the comparison
+// that aborts an install on a mismatch. Downloads are hashed as they stream (lib/download.js).
+
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+
+export const SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+
+export async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// Sidecar files hold either a bare digest or `sha256sum` output ("<digest>  <file name>" per
+// line, optionally "*<file name>" in binary mode). With several lines, the one naming the
+// archive is used.
+export function parseChecksumFile(content, fileName) {
+  const entries = content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const [digest, name = ''] = line.split(/\s+/, 2);
+      return { digest, name: name.replace(/^\*/, '') };
+    })
+    .filter(entry => SHA256_PATTERN.test(entry.digest));
+
+  const match = (fileName && entries.find(entry => entry.name === fileName)) || entries[0];
+  if (!match) {
+    throw new Error('No SHA-256 checksum found in the checksum file');
+  }
+  return match.digest.toLowerCase();
+}
+
+export function verifyChecksum(actual, expected) {
+  if (actual.toLowerCase() === expected.toLowerCase()) {
+    return;
+  }
+  const error = new Error(`Checksum mismatch: expected SHA-256 ${expected.toLowerCase()}, got ${actual}`);
+  error.checksumMismatch = true;
+  throw error;
+}
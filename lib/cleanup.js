@@ -0,0 +1,58 @@
+// AI Summary: Rollback support for failed installs. CleanupTracker records paths that the current
+// run created (never anything that already existed), lets completed work be released once it is
+// checkpointed, and removes whatever is still tracked, newest first, when the run fails.
+
+import fs from 'fs/promises';
+
+async function pathExists(targetPath) {
+  try {
+    await fs.stat(targetPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export class CleanupTracker {
+  constructor() {
+    this.paths = [];
+  }
+
+  // Track a path the run is about to create. Paths that already exist are ignored, so a
+  // rollback can never remove something that was there before the run started.
+  async trackIfNew(targetPath) {
+    if (this.paths.includes(targetPath) || (await pathExists(targetPath))) {
+      return false;
+    }
+    this.paths.push(targetPath);
+    return true;
+  }
+
+  // Stop tracking a path whose contents should survive a later failure
+  release(targetPath) {
+    this.paths = this.paths.filter(tracked => tracked !== targetPath);
+  }
+
+  get trackedPaths() {
+    return [...this.paths];
+  }
+
+  // Remove tracked paths in reverse creation order. Returns the paths that were removed and
+  // those that could not be, so the caller can tell the user what was left behind.
+  async rollback() {
+    const removed = [];
+    const failed = [];
+
+    for (const targetPath of [...this.paths].reverse()) {
+      try {
+        await fs.rm(targetPath, { recursive: true, force: true });
+        removed.push(targetPath);
+      } catch (error) {
+        failed.push({ path: targetPath, error });
+      }
+    }
+
+    this.paths = [];
+    return { removed, failed };
+  }
+}
@@ -0,0 +1,89 @@
+// AI Summary: Live display of the output of long-running commands (dependency install, packaging),
+// which otherwise run silently for minutes. With verbose, every line is passed on, indented and
+// prefixed with the step name; otherwise a rolling tail of the last few lines is redrawn in place
+// on interactive terminals and cleared when the command ends, so the terminal is not flooded.
+
+import { StringDecoder } from 'string_decoder';
+
+const TAIL_LINES = 5;
+const REDRAW_INTERVAL = 100;
+
+// Color and cursor sequences; the child's own colors are dropped when it writes to a pipe anyway
+const ANSI_PATTERN = /\u001b\[[0-9;?]*[A-Za-z]|\u001b\][^\u0007]*\u0007/g;
+
+// What a terminal would show for one line: text after the last carriage return, without escapes
+function cleanLine(line) {
+  return line.slice(line.lastIndexOf('\r') + 1).replace(ANSI_PATTERN, '').trimEnd();
+}
+
+// Returns { write(chunk), done() }. Chunks of stdout and stderr are split into lines; blank lines
+// are skipped. With verbose, each line goes to writeLine; otherwise the tail is drawn on stream,
+// if it is a terminal, through format (e.g. to dim it). Lines wider than the terminal are cut so
+// that the tail can be redrawn by moving the cursor up.
+export function createOutputDisplay({
+  verbose = false,
+  label = null,
+  prefix = '   ',
+  stream = process.stdout,
+  writeLine = line => stream.write(`${line}\n`),
+  lines = TAIL_LINES,
+  format = line => line,
+  now = Date.now
+} = {}) {
+  const linePrefix = `${prefix}${label ? `[${label}] ` : ''}`;
+  const enabled = verbose || Boolean(stream && stream.isTTY);
+  // Multi-byte characters can be split across chunks
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  let tail = [];
+  let drawnLines = 0;
+  let lastDraw = 0;
+
+  const draw = () => {
+    const width = Math.max((stream.columns || 80) - 1, linePrefix.length + 1);
+    let output = drawnLines > 0 ? `\u001b[${drawnLines}A` : '';
+    for (const line of tail) {
+      output += `\u001b[2K${format(`${linePrefix}${line}`.slice(0, width))}\n`;
+    }
+    stream.write(output);
+    drawnLines = tail.length;
+  };
+
+  const show = (line) => {
+    if (verbose) {
+      writeLine(`${linePrefix}${line}`);
+      return;
+    }
+    tail = [...tail, line].slice(-lines);
+  };
+
+  return {
+    write(chunk) {
+      if (!enabled) return;
+      const parts = `${pending}${typeof chunk === 'string' ? chunk : decoder.write(chunk)}`.split('\n');
+      pending = parts.pop();
+      parts.map(cleanLine).filter(Boolean).forEach(show);
+
+      const time = now();
+      if (!verbose && tail.length > 0 && time - lastDraw >= REDRAW_INTERVAL) {
+        lastDraw = time;
+        draw();
+      }
+    },
+
+    // Shows the last unfinished line (verbose) or clears the tail, so regular output continues
+    // where the tail began
+    done() {
+      const last = cleanLine(`${pending}${decoder.end()}`);
+      pending = '';
+      if (verbose && last) {
+        show(last);
+      }
+      if (drawnLines > 0) {
+        stream.write(`\u001b[${drawnLines}A\u001b[0J`);
+        drawnLines = 0;
+      }
+      tail = [];
+    }
+  };
+}
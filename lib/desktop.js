@@ -0,0 +1,147 @@
+// AI Summary: Linux desktop integration for --desktop-entry and --bin-link. Writes an
+// athanor.desktop entry to $XDG_DATA_HOME/applications (default ~/.local/share/applications) with
+// the icon from the Athanor sources, and links an `athanor` command into ~/.local/bin. Both record
+// which installation they belong to, so uninstall only removes the ones pointing at it.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+export const DESKTOP_FILE_NAME = 'athanor.desktop';
+export const LAUNCHER_NAME = 'athanor';
+
+// Names the installation a desktop entry belongs to (desktop entries allow X- keys of their own)
+const INSTALLATION_KEY = 'X-Setup-Athanor-Installation';
+
+// Where the Athanor sources keep their icon, most likely first
+const ICON_CANDIDATES = [
+  'resources/icon.png',
+  'resources/icons/icon.png',
+  'resources/images/athanor.png',
+  'resources/images/icon.png',
+  'assets/icon.png',
+  'assets/icons/icon.png',
+  'build/icon.png',
+  'icon.png',
+  'resources/icon.svg',
+  'assets/icon.svg'
+];
+
+// Relative or empty XDG_DATA_HOME values are invalid and must be ignored, as the spec says
+export function getDesktopEntryPath({ env = process.env, homedir = os.homedir() } = {}) {
+  const dataHome = env.XDG_DATA_HOME && path.isAbsolute(env.XDG_DATA_HOME)
+    ? env.XDG_DATA_HOME
+    : path.join(homedir, '.local', 'share');
+  return path.join(dataHome, 'applications', DESKTOP_FILE_NAME);
+}
+
+export function getLauncherPath({ homedir = os.homedir() } = {}) {
+  return path.join(homedir, '.local', 'bin', LAUNCHER_NAME);
+}
+
+// True when directory is one of the entries of PATH
+export function isOnPath(directory, env = process.env) {
+  return (env.PATH || '').split(path.delimiter).filter(Boolean).some(entry => path.resolve(entry) === directory);
+}
+
+// The icon in the Athanor sources, or null when there is none
+export async function findIcon(targetPath) {
+  for (const candidate of ICON_CANDIDATES) {
+    const iconPath = path.join(targetPath, ...candidate.split('/'));
+    try {
+      await fs.stat(iconPath);
+      return iconPath;
+    } catch {
+      // Try the next location
+    }
+  }
+  return null;
+}
+
+// Exec arguments are quoted, and inside quotes ", `, $ and \ are escaped; % starts a field code
+function quoteExecArgument(argument) {
+  return `"${argument.replace(/["`$\\]/g, '\\$&').replace(/%/g, '%%')}"`;
+}
+
+// String values escape backslashes and line breaks
+function escapeValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+}
+
+export function formatDesktopEntry({ applicationPath, iconPath, installationPath }) {
+  const lines = [
+    '[Desktop Entry]',
+    'Type=Application',
+    'Name=Athanor',
+    'Comment=AI Workbench',
+    `Exec=${escapeValue(quoteExecArgument(applicationPath))}`,
+    `Path=${escapeValue(path.dirname(applicationPath))}`,
+    iconPath ? `Icon=${escapeValue(iconPath)}` : null,
+    'Terminal=false',
+    'Categories=Development;',
+    'StartupWMClass=Athanor',
+    `${INSTALLATION_KEY}=${escapeValue(installationPath)}`
+  ];
+  return `${lines.filter(line => line !== null).join('\n')}\n`;
+}
+
+// Writes the desktop entry for the application built in installationPath, replacing an earlier
+// one. Resolves with { entryPath, iconPath } (iconPath is null when the sources have no icon).
+export async function writeDesktopEntry(installationPath, applicationPath, options = {}) {
+  const entryPath = getDesktopEntryPath(options);
+  const iconPath = await findIcon(installationPath);
+  await fs.mkdir(path.dirname(entryPath), { recursive: true });
+  await fs.writeFile(entryPath, formatDesktopEntry({ applicationPath, iconPath, installationPath }), 'utf8');
+  return { entryPath, iconPath };
+}
+
+// Links the athanor command to applicationPath. An earlier link (e.g. to another installation) is
+// replaced; a file that is not a link is left alone and reported as an error.
+export async function linkLauncher(applicationPath, options = {}) {
+  const launcherPath = getLauncherPath(options);
+  await fs.mkdir(path.dirname(launcherPath), { recursive: true });
+
+  let existing = null;
+  try {
+    existing = await fs.lstat(launcherPath);
+  } catch {
+    // Nothing there yet
+  }
+  if (existing && !existing.isSymbolicLink()) {
+    throw new Error(`${launcherPath} already exists and is not a link`);
+  }
+  if (existing) {
+    await fs.rm(launcherPath, { force: true });
+  }
+
+  await fs.symlink(applicationPath, launcherPath);
+  return launcherPath;
+}
+
+// The desktop entry and athanor command on this machine, with the installation each points to:
+// { desktopEntry: { path, installationPath } | null, launcher: { path, targetPath } | null }
+export async function readDesktopIntegration(options = {}) {
+  let desktopEntry = null;
+  const entryPath = getDesktopEntryPath(options);
+  try {
+    const content = await fs.readFile(entryPath, 'utf8');
+    const line = content.split('\n').find(entry => entry.startsWith(`${INSTALLATION_KEY}=`));
+    desktopEntry = {
+      path: entryPath,
+      installationPath: line ? line.slice(INSTALLATION_KEY.length + 1).replace(/\\\\/g, '\\') : null
+    };
+  } catch {
+    // No desktop entry
+  }
+
+  let launcher = null;
+  const launcherPath = getLauncherPath(options);
+  try {
+    const linkTarget = await fs.readlink(launcherPath);
+    launcher = { path: launcherPath, targetPath: path.resolve(path.dirname(launcherPath), linkTarget) };
+  } catch {
+    // No link, or a file that is not one
+  }
+
+  return { desktopEntry, launcher };
+}
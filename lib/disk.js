@@ -0,0 +1,104 @@
+// AI Summary: File system checks for an install target that may not exist yet: the nearest existing
+// directory on its path, the free space on that file system (with the shortfall against what the
+// install needs), and whether files can be created there. Also parses size thresholds ("4GB").
+
+import path from 'path';
+import fs from 'fs/promises';
+
+const GB = 1024 ** 3;
+
+// The clone, node_modules and the Electron build in out/ together take several gigabytes
+export const DEFAULT_MIN_FREE_SPACE = 4 * GB;
+
+// The ZIP download and its extraction in the temp directory
+export const DEFAULT_MIN_TEMP_SPACE = 1 * GB;
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB, TB: 1024 ** 4 };
+
+// Parses "4GB", "500 MB" or "1.5" (gigabytes when no unit is given) into bytes; null if invalid
+export function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'GB').toUpperCase()]);
+}
+
+// The target itself when it is a directory, else its closest existing ancestor (null if none)
+export async function findExistingDirectory(targetPath) {
+  let current = path.resolve(targetPath);
+  for (;;) {
+    try {
+      if ((await fs.stat(current)).isDirectory()) {
+        return current;
+      }
+    } catch {
+      // Not created yet; look at the parent
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+// Bytes available to this user on the file system holding directory, or null when unknown
+// (fs.statfs needs Node.js 18.15)
+export async function getFreeSpace(directory) {
+  if (typeof fs.statfs !== 'function') {
+    return null;
+  }
+  try {
+    const { bavail, bsize } = await fs.statfs(directory);
+    return Number(bavail) * Number(bsize);
+  } catch {
+    return null;
+  }
+}
+
+// Checks [{ directory, needed }] and resolves with the file systems that fall short, as
+// [{ directories, free, needed }]. Directories on the same file system add up their needs;
+// file systems whose free space cannot be read are not reported.
+export async function findSpaceShortfalls(requirements) {
+  const fileSystems = new Map();
+  for (const { directory, needed } of requirements) {
+    if (!directory || !needed) continue;
+    let device;
+    try {
+      device = (await fs.stat(directory)).dev;
+    } catch {
+      continue;
+    }
+    const entry = fileSystems.get(device) || { directories: [], needed: 0 };
+    entry.directories.push(directory);
+    entry.needed += needed;
+    fileSystems.set(device, entry);
+  }
+
+  const shortfalls = [];
+  for (const { directories, needed } of fileSystems.values()) {
+    const free = await getFreeSpace(directories[0]);
+    if (free !== null && free < needed) {
+      shortfalls.push({ directories, free, needed });
+    }
+  }
+  return shortfalls;
+}
+
+// Creates and removes an empty scratch directory, which also catches ACLs and read-only mounts
+// that permission bits do not show. Resolves with null when writable, else the error.
+export async function getWriteError(directory) {
+  let probe;
+  try {
+    probe = await fs.mkdtemp(path.join(directory, '.setup-athanor-write-test-'));
+  } catch (error) {
+    return error;
+  }
+  try {
+    await fs.rmdir(probe);
+  } catch {
+    // Creating it was the test; a leftover empty directory is harmless
+  }
+  return null;
+}
@@ -0,0 +1,287 @@
+// AI Summary: Environment diagnostics for `setup-athanor doctor`. Checks Node.js, the package manager
+// and Git, free space and write access at the target, proxy variables, the npm registry, the C/C++
+// toolchain and Python used to build native modules, and the OS (Linux distro from /etc/os-release).
+// Every check yields { id, label, status, detail, fix }; formatting is left to the caller. Git and
+// the package manager count as available exactly when the installer's probe finds them.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import semver from 'semver';
+import { execa } from 'execa';
+import { DEFAULT_MIN_FREE_SPACE, findExistingDirectory, getFreeSpace, getWriteError } from './disk.js';
+import { formatBytes } from './progress.js';
+import { redactProxyUrl } from './proxy.js';
+
+// Check outcomes, from fine to blocking. `info` reports facts that need no action.
+export const STATUS = { ok: 'ok', info: 'info', warning: 'warning', error: 'error' };
+
+const PROXY_VARIABLES = ['HTTPS_PROXY', 'HTTP_PROXY', 'NO_PROXY'];
+
+// Install commands for native build tools on common Linux distributions, matched on ID / ID_LIKE
+const LINUX_PACKAGES = [
+  { ids: ['debian', 'ubuntu'], toolchain: 'sudo apt-get install build-essential', python: 'sudo apt-get install python3' },
+  { ids: ['fedora', 'rhel', 'centos'], toolchain: 'sudo dnf install gcc-c++ make', python: 'sudo dnf install python3' },
+  { ids: ['arch'], toolchain: 'sudo pacman -S base-devel', python: 'sudo pacman -S python' },
+  { ids: ['alpine'], toolchain: 'sudo apk add build-base', python: 'sudo apk add python3' },
+  { ids: ['opensuse', 'suse'], toolchain: 'sudo zypper install -t pattern devel_basis', python: 'sudo zypper install python3' }
+];
+
+// First line a command prints, or null when it is not available or fails
+export async function getCommandOutput(command, args) {
+  try {
+    const { stdout } = await execa(command, args);
+    return String(stdout || '').trim().split(/\r?\n/)[0];
+  } catch {
+    return null;
+  }
+}
+
+export function getCommandVersion(command) {
+  return getCommandOutput(command, ['--version']);
+}
+
+// Whether `command --version` runs successfully. This is how the installer decides that git or
+// the package manager is available, so doctor reports them the same way. run is execa or a
+// wrapper with the same (file, args) shape.
+export async function isCommandAvailable(command, run = execa) {
+  try {
+    await run(command, ['--version']);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Probes git and the package manager that will install dependencies. Resolves with
+// { git, [packageManager] } flags.
+export async function probePrerequisites(packageManager = 'npm', run = execa) {
+  const git = await isCommandAvailable('git', run);
+  return { git, [packageManager]: await isCommandAvailable(packageManager, run) };
+}
+
+// Parses /etc/os-release (KEY=value lines, values optionally quoted)
+export function parseOsRelease(content) {
+  const fields = {};
+  for (const line of content.split(/\r?\n/)) {
+    const match = /^([A-Z0-9_]+)=(.*)$/.exec(line.trim());
+    if (match) {
+      fields[match[1]] = match[2].replace(/^(["'])(.*)\1$/, '$2');
+    }
+  }
+  return fields;
+}
+
+async function readOsRelease(filePath) {
+  try {
+    return parseOsRelease(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function getLinuxPackages(osRelease) {
+  if (!osRelease) return null;
+  const ids = [osRelease.ID, ...String(osRelease.ID_LIKE || '').split(/\s+/)].filter(Boolean);
+  return LINUX_PACKAGES.find(entry => entry.ids.some(id => ids.includes(id))) || null;
+}
+
+function result(id, label, status, detail, fix = null) {
+  return { id, label, status, detail, fix };
+}
+
+function checkNode(nodeRange) {
+  if (nodeRange && !semver.satisfies(process.version, nodeRange)) {
+    return result('node', 'Node.js', STATUS.error, `${process.version} (setup-athanor needs ${nodeRange})`,
+      `Install Node.js ${semver.minVersion(nodeRange).version} or newer from https://nodejs.org/ or with a version manager such as nvm`);
+  }
+  return result('node', 'Node.js', STATUS.ok, process.version);
+}
+
+// available comes from probePrerequisites(); the version is only there to be shown
+async function checkPackageManager(name, available) {
+  if (available) {
+    return result('packageManager', name, STATUS.ok, (await getCommandVersion(name)) || 'version unknown');
+  }
+  return result('packageManager', name, STATUS.error, 'not found', name === 'npm'
+    ? 'Install Node.js from https://nodejs.org/, which includes npm, and make sure npm is on your PATH'
+    : `Install ${name} and make sure it is on your PATH, or choose another with --package-manager`);
+}
+
+async function checkGit(available) {
+  if (available) {
+    const version = await getCommandVersion('git');
+    return result('git', 'Git', STATUS.ok, version ? version.replace(/^git version /, '') : 'version unknown');
+  }
+  return result('git', 'Git', STATUS.warning, 'not found (the ZIP download will be used instead)',
+    'Install Git from https://git-scm.com/downloads to clone the repository and update it with git');
+}
+
+async function checkDiskSpace(directory, minFreeSpace) {
+  if (!directory) {
+    return result('diskSpace', 'Disk space', STATUS.error, 'no existing directory on the target path', 'Check the target path');
+  }
+  const free = await getFreeSpace(directory);
+  if (free === null) {
+    return result('diskSpace', 'Disk space', STATUS.info, `unknown at ${directory}`);
+  }
+  if (free < minFreeSpace) {
+    return result('diskSpace', 'Disk space', STATUS.error,
+      `${formatBytes(free)} free at ${directory} (${formatBytes(minFreeSpace)} needed)`,
+      'Free up space on this drive or install into a directory on another drive');
+  }
+  return result('diskSpace', 'Disk space', STATUS.ok, `${formatBytes(free)} free at ${directory}`);
+}
+
+async function checkWritable(directory) {
+  if (!directory) {
+    return result('writable', 'Write access', STATUS.error, 'no existing directory on the target path', 'Check the target path');
+  }
+  const error = await getWriteError(directory);
+  if (error) {
+    return result('writable', 'Write access', STATUS.error, `cannot create files in ${directory} (${error.code || error.message})`,
+      'Choose a directory you own, or fix its permissions');
+  }
+  return result('writable', 'Write access', STATUS.ok, directory);
+}
+
+function checkProxy(env) {
+  const values = [];
+  const invalid = [];
+  for (const name of PROXY_VARIABLES) {
+    const value = env[name] || env[name.toLowerCase()];
+    if (!value) continue;
+    if (name === 'NO_PROXY') {
+      values.push(`${name}=${value}`);
+      continue;
+    }
+    try {
+      const proxyUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`;
+      values.push(`${name}=${redactProxyUrl(proxyUrl)}`);
+    } catch {
+      invalid.push(name);
+    }
+  }
+  if (invalid.length > 0) {
+    return result('proxy', 'Proxy', STATUS.error, `invalid ${invalid.join(', ')}`,
+      'Set it to a proxy URL such as http://proxy.example.com:3128, or unset it');
+  }
+  return result('proxy', 'Proxy', STATUS.info, values.length > 0 ? values.join(', ') : 'not set');
+}
+
+async function checkRegistry(packageManagerAvailable) {
+  if (!packageManagerAvailable) {
+    return result('registry', 'npm registry', STATUS.info, 'unknown (npm not found)');
+  }
+  const registry = await getCommandOutput('npm', ['config', 'get', 'registry']);
+  if (!registry) {
+    return result('registry', 'npm registry', STATUS.info, 'unknown');
+  }
+  if (registry.startsWith('http://')) {
+    return result('registry', 'npm registry', STATUS.warning, `${registry} (not encrypted)`,
+      'Use an https:// registry, for example: npm config set registry https://registry.npmjs.org/');
+  }
+  return result('registry', 'npm registry', STATUS.ok, registry);
+}
+
+async function checkToolchain(platform, env, linuxPackages) {
+  const label = 'C/C++ toolchain';
+
+  if (platform === 'win32') {
+    const vswhere = path.join(env['ProgramFiles(x86)'] || 'C:\\Program Files (x86)', 'Microsoft Visual Studio', 'Installer', 'vswhere.exe');
+    const found = await getCommandOutput(vswhere, ['-latest', '-products', '*', '-requires',
+      'Microsoft.VisualStudio.Component.VC.Tools.x86.x64', '-property', 'displayName']);
+    return found
+      ? result('toolchain', label, STATUS.ok, found)
+      : result('toolchain', label, STATUS.warning, 'Visual C++ build tools not found',
+        'Install Visual Studio Build Tools with the "Desktop development with C++" workload: https://visualstudio.microsoft.com/visual-cpp-build-tools/');
+  }
+
+  if (platform === 'darwin') {
+    const found = await getCommandOutput('xcode-select', ['-p']);
+    return found
+      ? result('toolchain', label, STATUS.ok, `Xcode Command Line Tools (${found})`)
+      : result('toolchain', label, STATUS.warning, 'Xcode Command Line Tools not found', 'Run: xcode-select --install');
+  }
+
+  const compiler = await getCommandVersion('c++') || await getCommandVersion('g++') || await getCommandVersion('clang++');
+  const make = await getCommandVersion('make');
+  if (compiler && make) {
+    return result('toolchain', label, STATUS.ok, compiler);
+  }
+  const missing = [compiler ? null : 'C++ compiler', make ? null : 'make'].filter(Boolean);
+  return result('toolchain', label, STATUS.warning, `${missing.join(' and ')} not found`,
+    linuxPackages ? `Run: ${linuxPackages.toolchain}` : 'Install a C++ compiler (g++ or clang++) and make with your package manager');
+}
+
+async function checkPython(platform, linuxPackages) {
+  const candidates = platform === 'win32'
+    ? [['python', ['--version']], ['py', ['-3', '--version']]]
+    : [['python3', ['--version']], ['python', ['--version']]];
+  for (const [command, args] of candidates) {
+    const version = await getCommandOutput(command, args);
+    if (version && /Python 3\./.test(version)) {
+      return result('python', 'Python', STATUS.ok, version.replace(/^Python /, ''));
+    }
+  }
+
+  let fix = 'Install Python 3 from https://www.python.org/downloads/';
+  if (platform === 'darwin') {
+    fix = 'Run: brew install python, or install Python 3 from https://www.python.org/downloads/';
+  } else if (linuxPackages) {
+    fix = `Run: ${linuxPackages.python}`;
+  }
+  return result('python', 'Python', STATUS.warning, 'Python 3 not found (needed to build native modules)', fix);
+}
+
+function checkOs(platform, osRelease) {
+  const system = `${platform} ${os.release()} (${os.arch()})`;
+  if (platform !== 'linux') {
+    return result('os', 'Operating system', STATUS.info, system);
+  }
+  const distro = osRelease && (osRelease.PRETTY_NAME || [osRelease.NAME, osRelease.VERSION_ID].filter(Boolean).join(' '));
+  return result('os', 'Operating system', STATUS.info, distro ? `${distro}, ${system}` : `${system}, /etc/os-release not found`);
+}
+
+// Runs every check for an install into targetPath. Resolves with
+// { target, platform, arch, checks, summary: { errors, warnings } }.
+export async function runDoctor({
+  targetPath,
+  packageManager = 'npm',
+  nodeRange = null,
+  minFreeSpace = DEFAULT_MIN_FREE_SPACE,
+  env = process.env,
+  platform = os.platform(),
+  osReleaseFile = '/etc/os-release'
+}) {
+  const osRelease = platform === 'linux' ? await readOsRelease(osReleaseFile) : null;
+  const linuxPackages = getLinuxPackages(osRelease);
+  const directory = await findExistingDirectory(path.dirname(path.resolve(targetPath)));
+
+  const prerequisites = await probePrerequisites(packageManager);
+  const npmAvailable = packageManager === 'npm' ? prerequisites.npm : await isCommandAvailable('npm');
+
+  const checks = [
+    checkNode(nodeRange),
+    await checkPackageManager(packageManager, prerequisites[packageManager]),
+    await checkGit(prerequisites.git),
+    await checkDiskSpace(directory, minFreeSpace),
+    await checkWritable(directory),
+    checkProxy(env),
+    await checkRegistry(npmAvailable),
+    await checkToolchain(platform, env, linuxPackages),
+    await checkPython(platform, linuxPackages),
+    checkOs(platform, osRelease)
+  ];
+
+  return {
+    target: path.resolve(targetPath),
+    platform,
+    arch: os.arch(),
+    checks,
+    summary: {
+      errors: checks.filter(check => check.status === STATUS.error).length,
+      warnings: checks.filter(check => check.status === STATUS.warning).length
+    }
+  };
+}
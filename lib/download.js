@@ -0,0 +1,225 @@
+// AI Summary: Resilient file downloads for the ZIP path. getResponse() issues a GET (through the
+// proxy layer) and follows redirect chains; downloadFile() streams the body to disk while hashing it,
+// reports byte progress, retries transient failures (ECONNRESET, ETIMEDOUT, 502/503/504) with
+// exponential backoff, treats a connection that stays idle too long as timed out, resumes partial downloads with HTTP Range where the server allows it, and
+// revalidates cached copies with conditional requests (If-None-Match / If-Modified-Since).
+
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { proxiedGet } from './proxy.js';
+
+export const DEFAULT_RETRIES = 3;
+export const DEFAULT_RETRY_DELAY = 1000;
+// A connection that receives nothing for this long is dropped (and retried)
+export const DEFAULT_IDLE_TIMEOUT = 30000;
+const MAX_RETRY_DELAY = 30000;
+
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const TRANSIENT_STATUS_CODES = [502, 503, 504];
+
+export const MAX_REDIRECTS = 10;
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+// HTTP errors name the URL that answered, which after redirects is not the one requested
+function httpError(statusCode, url, redirected) {
+  const error = new Error(`Failed to download: HTTP ${statusCode}${redirected ? ` from ${url}` : ''}`);
+  error.statusCode = statusCode;
+  error.url = url;
+  return error;
+}
+
+function redirectError(message, url) {
+  const error = new Error(message);
+  error.url = url;
+  error.isRedirectError = true;
+  return error;
+}
+
+function requestOnce(url, requestOptions) {
+  return new Promise((resolve, reject) => {
+    proxiedGet(url, requestOptions, resolve).on('error', reject);
+  });
+}
+
+// Resolves with the response for url, following redirects (GitHub archive URLs redirect to
+// codeload, and mirrors often chain several hops). Relative Location headers are resolved
+// against the current URL; loops and chains longer than maxRedirects are rejected with the
+// last URL reached. Rejects on any final status other than 200, 206 when a Range was requested,
+// or 304 for a conditional request. Requests and response bodies that stay idle for timeout ms
+// fail with ETIMEDOUT.
+export async function getResponse(url, { headers, maxRedirects = MAX_REDIRECTS, timeout = DEFAULT_IDLE_TIMEOUT } = {}) {
+  const requestOptions = headers ? { headers, timeout } : { timeout };
+  const isConditional = Boolean(headers && (headers['If-None-Match'] || headers['If-Modified-Since']));
+  const isOk = statusCode => statusCode === 200
+    || (statusCode === 206 && Boolean(headers && headers.Range))
+    || (statusCode === 304 && isConditional);
+  const visited = [url];
+  let currentUrl = url;
+
+  for (;;) {
+    const response = await requestOnce(currentUrl, requestOptions);
+
+    if (!REDIRECT_STATUS_CODES.includes(response.statusCode)) {
+      if (!isOk(response.statusCode)) {
+        throw httpError(response.statusCode, currentUrl, visited.length > 1);
+      }
+      return response;
+    }
+
+    // The redirect body is not needed; drain it so the connection is released
+    response.resume();
+
+    const location = response.headers.location;
+    if (!location) {
+      throw redirectError(`Redirect (HTTP ${response.statusCode}) without a Location header from ${currentUrl}`, currentUrl);
+    }
+
+    const nextUrl = new URL(location, currentUrl).href;
+    if (visited.includes(nextUrl)) {
+      throw redirectError(`Redirect loop detected: ${currentUrl} redirects back to ${nextUrl}`, nextUrl);
+    }
+    if (visited.length > maxRedirects) {
+      throw redirectError(`Too many redirects (more than ${maxRedirects}); gave up at ${nextUrl}`, nextUrl);
+    }
+
+    visited.push(nextUrl);
+    currentUrl = nextUrl;
+  }
+}
+
+export function isTransientError(error) {
+  return TRANSIENT_STATUS_CODES.includes(error.statusCode) || TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+// Delay before retry number `attempt` (1-based): baseDelay, 2x, 4x, ... capped at 30s
+export function getRetryDelay(attempt, baseDelay = DEFAULT_RETRY_DELAY) {
+  return Math.min(baseDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+}
+
+// Parses "bytes <start>-<end>/<total>" into { start, total }; total is null when unknown ('*')
+function parseContentRange(value) {
+  const match = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  return { start: Number(match[1]), total: match[2] === '*' ? null : Number(match[2]) };
+}
+
+// The hash of the bytes already on disk, so a resumed download keeps a single running digest
+async function hashPartialFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { hash, size };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Downloads url to filePath and resolves with { sha256, size, etag, lastModified }.
+// - validators ({ etag, lastModified }) of a cached copy make the request conditional; when
+//   the server answers 304 Not Modified, nothing is written and { notModified: true } is returned.
+// - onProgress({ received, total }) is called as data arrives; total is null when unknown.
+// - onRetry({ attempt, retries, delay, error, resumeFrom }) is called before each retry.
+// - timeout is how long the connection may stay idle before the attempt fails with ETIMEDOUT.
+// Only transient errors are retried, up to `retries` times.
+export async function downloadFile(url, filePath, options = {}) {
+  const {
+    retries = DEFAULT_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY,
+    timeout = DEFAULT_IDLE_TIMEOUT,
+    validators = null,
+    onProgress = () => {},
+    onRetry = () => {}
+  } = options;
+
+  const conditionalHeaders = {};
+  if (validators && validators.etag) {
+    conditionalHeaders['If-None-Match'] = validators.etag;
+  }
+  if (validators && validators.lastModified) {
+    conditionalHeaders['If-Modified-Since'] = validators.lastModified;
+  }
+
+  let hash = crypto.createHash('sha256');
+  let received = 0;
+  // Validator sent with If-Range so a resumed download never mixes two versions of the file
+  let validator = null;
+  let etag = null;
+  let lastModified = null;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      let headers;
+      if (received > 0) {
+        headers = { Range: `bytes=${received}-`, ...(validator ? { 'If-Range': validator } : {}) };
+      } else if (Object.keys(conditionalHeaders).length > 0) {
+        headers = conditionalHeaders;
+      }
+      const response = await getResponse(url, { headers, timeout });
+
+      if (response.statusCode === 304) {
+        response.resume();
+        return { notModified: true };
+      }
+
+      let total = null;
+      const contentLength = Number(response.headers['content-length']) || null;
+      const range = response.statusCode === 206 ? parseContentRange(response.headers['content-range']) : null;
+
+      if (range && range.start === received) {
+        total = range.total;
+      } else {
+        // Full response: the server ignored the Range or the file changed, so start over
+        if (received > 0) {
+          hash = crypto.createHash('sha256');
+          received = 0;
+        }
+        total = contentLength;
+        etag = response.headers.etag || null;
+        lastModified = response.headers['last-modified'] || null;
+        validator = etag || lastModified;
+      }
+
+      onProgress({ received, total });
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
+          received += chunk.length;
+          onProgress({ received, total });
+          callback(null, chunk);
+        }
+      });
+
+      await pipeline(response, counter, createWriteStream(filePath, { flags: received > 0 ? 'a' : 'w' }));
+
+      if (total !== null && received < total) {
+        const error = new Error(`Download ended early: received ${received} of ${total} bytes`);
+        error.code = 'ECONNRESET';
+        throw error;
+      }
+
+      return { sha256: hash.digest('hex'), size: received, etag, lastModified };
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) {
+        throw error;
+      }
+
+      // Resume from what actually reached the disk, which can be less than what was received
+      try {
+        ({ hash, size: received } = await hashPartialFile(filePath));
+      } catch {
+        hash = crypto.createHash('sha256');
+        received = 0;
+      }
+
+      const delay = getRetryDelay(attempt + 1, retryDelay);
+      onRetry({ attempt: attempt + 1, retries, delay, error, resumeFrom: received });
+      await wait(delay);
+    }
+  }
+}
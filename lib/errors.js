@@ -0,0 +1,15 @@
+// AI Summary: The error install() and update() reject with. Carries the same `code` as the --json
+// error event (e.g. 'clone_failed', 'insufficient_disk_space', 'cancelled'), the step that failed,
+// structured details and the underlying error as `cause`, so callers can branch without parsing
+// messages. `logFile` is the install log of the failed run, once it has been written.
+
+export class InstallError extends Error {
+  constructor(message, { code, step = null, details = null, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'InstallError';
+    this.code = code;
+    this.step = step;
+    this.details = details;
+    this.logFile = null;
+  }
+}
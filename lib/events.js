@@ -0,0 +1,131 @@
+// AI Summary: Newline-delimited JSON events for --json mode, for tools that drive setup-athanor.
+// Every event carries its type, an ISO timestamp, the current step id and the milliseconds since
+// that step (or, outside steps, the run) started: step-start, step-end, progress, warning, error
+// and a final done event. Also turns Error objects into structured error details. Events go to a
+// stream as JSON lines (--json) and/or to a callback (the onEvent option of install()).
+// Credentials in URLs are redacted from messages and error details.
+
+import { redactUrlCredentials } from './source.js';
+
+// Keep the tail of command output, where the actual failure usually is
+const MAX_OUTPUT_LENGTH = 4000;
+
+// Structured details of an error: message, code, HTTP status and URL, and the exit code and
+// output of a failed command, leaving out what the error does not have
+export function getErrorDetails(error) {
+  if (!error) {
+    return undefined;
+  }
+  const details = {
+    name: error.name,
+    message: redactUrlCredentials(error.message),
+    code: error.code,
+    statusCode: error.statusCode,
+    url: redactUrlCredentials(error.url),
+    exitCode: error.exitCode,
+    stderr: typeof error.stderr === 'string' && error.stderr
+      ? redactUrlCredentials(error.stderr.slice(-MAX_OUTPUT_LENGTH))
+      : undefined
+  };
+  return Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined && value !== null));
+}
+
+// Returns { enabled, step, stepStart, stepEnd, progress, warning, error, finish } writing one JSON
+// object per line to stream and/or passing each event object to onEvent. Without either, every
+// method does nothing, so callers need no checks.
+export function createEventWriter({ stream = process.stdout, onEvent = null, now = Date.now } = {}) {
+  const runStart = now();
+  let step = null;
+  let stepStart = null;
+  let finished = false;
+
+  const write = (type, fields = {}) => {
+    if (!stream && !onEvent) return;
+    const time = now();
+    const event = {
+      type,
+      timestamp: new Date(time).toISOString(),
+      step,
+      durationMs: time - (stepStart === null ? runStart : stepStart),
+      ...fields
+    };
+    if (stream) {
+      stream.write(`${JSON.stringify(event)}\n`);
+    }
+    if (onEvent) {
+      onEvent(event);
+    }
+  };
+
+  return {
+    enabled: Boolean(stream || onEvent),
+
+    // The id of the step in progress, or null between steps
+    get step() {
+      return step;
+    },
+
+    stepStart(id, label) {
+      step = id;
+      stepStart = now();
+      write('step-start', { label });
+    },
+
+    // status: 'success', 'failed' or 'skipped'
+    stepEnd(status, fields = {}) {
+      if (step === null) return;
+      write('step-end', { status, ...fields });
+      step = null;
+      stepStart = null;
+    },
+
+    progress(fields) {
+      write('progress', fields);
+    },
+
+    warning(message, fields = {}) {
+      write('warning', { message: redactUrlCredentials(message), ...fields });
+    },
+
+    // fields carry failure data that is not an Error, such as the disk space shortfalls
+    error(code, message, error, fields = {}) {
+      write('error', { code, message: redactUrlCredentials(message), details: getErrorDetails(error), ...fields });
+    },
+
+    // Ends the run: closes an open step and writes the done event. Only the first call counts.
+    finish(exitCode, status = exitCode === 0 ? 'success' : 'failed') {
+      if (finished) return;
+      finished = true;
+      this.stepEnd(exitCode === 0 ? 'cancelled' : 'failed');
+      write('done', {
+        status,
+        exitCode,
+        durationMs: now() - runStart
+      });
+    }
+  };
+}
+
+// Same interface as createProgressReporter() in lib/progress.js, but reports progress events,
+// at most one every `interval` ms plus the final one
+export function createProgressEmitter(events, { interval = 500, now = Date.now } = {}) {
+  let lastEmit = 0;
+  return {
+    update({ received, total }) {
+      const time = now();
+      if (time - lastEmit < interval && received !== total) {
+        return;
+      }
+      lastEmit = time;
+      events.progress({
+        received,
+        total,
+        percent: total ? Math.min(100, Math.floor((received / total) * 100)) : null
+      });
+    },
+    restart() {
+      lastEmit = 0;
+    },
+    done() {}
+  };
+}
@@ -0,0 +1,138 @@
+// AI Summary: The install log: a timestamped record of a run written to
+// <target>/.setup-athanor/install.log (or --log-file). Holds the environment, every command with
+// its exit code and full stdout/stderr, and the step, warning and error events. Lines are buffered
+// until the log has a file, since the target directory only exists once the sources are fetched.
+// Credentials in URLs are redacted before anything is recorded, and the file is readable by its
+// owner only.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { formatDuration } from './progress.js';
+import { redactUrlCredentials } from './source.js';
+
+export const LOG_DIRECTORY_NAME = '.setup-athanor';
+export const LOG_FILE_NAME = 'install.log';
+
+export function getDefaultLogPath(targetPath) {
+  return path.join(targetPath, LOG_DIRECTORY_NAME, LOG_FILE_NAME);
+}
+
+// Arguments with spaces or quotes are quoted, so the line can be pasted into a shell
+function formatCommand(file, args = []) {
+  return [file, ...args].map(arg => (/[\s"']/.test(arg) ? JSON.stringify(arg) : arg)).join(' ');
+}
+
+function formatOutput(name, output) {
+  const text = typeof output === 'string' ? output : String(output || '');
+  if (!text) return '';
+  return `----- ${name} -----\n${text.endsWith('\n') ? text : `${text}\n`}`;
+}
+
+// Returns { filePath, environment, command, result, event, attach, relocate, disable, flush }.
+// Nothing reaches the disk until attach() gives the log a file; each flush() then appends what
+// was recorded since. The whole record is kept, so relocate() can start over in another file.
+// With enabled: false nothing is recorded at all.
+export function createInstallLog({ enabled = true, now = Date.now } = {}) {
+  let filePath = null;
+  let disabled = !enabled;
+  let entries = [];
+  let written = 0;
+
+  const append = (text) => {
+    if (!disabled && text) {
+      entries.push(redactUrlCredentials(text));
+    }
+  };
+
+  const write = (text) => append(`[${new Date(now()).toISOString()}] ${text}\n`);
+
+  return {
+    get filePath() {
+      return filePath;
+    },
+
+    // Callbacks in options (install() takes some) are left out by JSON.stringify
+    environment({ version, command, target, options = {} }) {
+      write(`setup-athanor ${version}: ${command} ${target}`);
+      write(`Node.js ${process.version} on ${os.platform()} ${os.release()} (${os.arch()})`);
+      write(`Working directory: ${process.cwd()}`);
+      write(`Options: ${JSON.stringify(options)}`);
+    },
+
+    command(file, args, cwd) {
+      write(`$ ${formatCommand(file, args)}${cwd ? ` (in ${cwd})` : ''}`);
+    },
+
+    // The outcome of a command: an execa result, or the error it rejected with
+    result(outcome = {}, durationMs = 0) {
+      const duration = formatDuration(durationMs / 1000);
+      if (outcome.exitCode === undefined && outcome instanceof Error) {
+        write(`failed after ${duration}: ${outcome.message}`);
+      } else {
+        write(`exit code ${outcome.exitCode === undefined ? 0 : outcome.exitCode} after ${duration}`);
+      }
+      append(formatOutput('stdout', outcome.stdout));
+      append(formatOutput('stderr', outcome.stderr));
+    },
+
+    // Steps, warnings, errors and the outcome of the run, as reported by lib/events.js
+    event(event) {
+      switch (event.type) {
+        case 'step-start':
+          write(`== ${event.label} (${event.step})`);
+          break;
+        case 'step-end':
+          write(`== ${event.step}: ${event.status} after ${formatDuration(event.durationMs / 1000)}`);
+          break;
+        case 'warning':
+          write(`Warning: ${event.message}`);
+          break;
+        case 'error': {
+          write(`Error [${event.code}]: ${event.message}`);
+          // The command output is in the log already
+          const { stderr, ...details } = event.details || {};
+          if (Object.keys(details).length > 0) {
+            append(formatOutput('details', JSON.stringify(details, null, 2)));
+          }
+          break;
+        }
+        case 'done':
+          write(`Finished: ${event.status} (exit code ${event.exitCode}) after ${formatDuration(event.durationMs / 1000)}`);
+          break;
+        default:
+          break;
+      }
+    },
+
+    // Gives the log its file, unless it already has one
+    attach(logPath) {
+      if (!disabled && !filePath) {
+        filePath = logPath;
+      }
+    },
+
+    // Writes the whole record to logPath from the next flush, e.g. when the first file was removed
+    relocate(logPath) {
+      if (!disabled) {
+        filePath = logPath;
+        written = 0;
+      }
+    },
+
+    // Stops recording, e.g. after the file turned out not to be writable
+    disable() {
+      disabled = true;
+      filePath = null;
+      entries = [];
+    },
+
+    async flush() {
+      if (!filePath || written === entries.length) return;
+      const end = entries.length;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, entries.slice(written, end).join(''), { mode: 0o600 });
+      written = end;
+    }
+  };
+}
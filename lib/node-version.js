@@ -0,0 +1,62 @@
+// AI Summary: Node.js version check for the fetched Athanor sources. Reads the `engines.node` range
+// from package.json and the version pinned in .nvmrc / .node-version, and finds the first one the
+// running Node.js does not satisfy, so the install can stop before the build fails obscurely.
+
+import path from 'path';
+import fs from 'fs/promises';
+import semver from 'semver';
+
+const PINNED_VERSION_FILES = ['.nvmrc', '.node-version'];
+
+// A pinned version ("20", "v20.11.0") is what the project is developed with; newer releases are
+// accepted, so it is checked as a minimum. Aliases such as lts/* or node cannot be checked offline.
+function pinnedVersionToRange(value) {
+  const match = /^v?(\d+(?:\.\d+){0,2})$/.exec(value.trim());
+  return match ? `>=${semver.coerce(match[1]).version}` : null;
+}
+
+// Resolves with [{ source, range }] for every requirement found in directory
+export async function readNodeRequirements(directory) {
+  const requirements = [];
+
+  try {
+    const packageJson = JSON.parse(await fs.readFile(path.join(directory, 'package.json'), 'utf8'));
+    const range = packageJson && packageJson.engines && packageJson.engines.node;
+    if (typeof range === 'string' && range.trim()) {
+      requirements.push({ source: 'package.json engines', range: range.trim() });
+    }
+  } catch {
+    // No readable package.json; the install step reports that itself
+  }
+
+  for (const fileName of PINNED_VERSION_FILES) {
+    try {
+      const firstLine = String(await fs.readFile(path.join(directory, fileName), 'utf8')).split(/\r?\n/)[0];
+      const range = pinnedVersionToRange(firstLine);
+      if (range) {
+        requirements.push({ source: fileName, range });
+      }
+    } catch {
+      // Optional file
+    }
+  }
+
+  return requirements;
+}
+
+// Returns the first requirement `version` does not satisfy, or null. Ranges semver cannot parse
+// are skipped rather than blocking the install.
+export function findUnmetRequirement(requirements, version = process.version) {
+  return requirements.find(({ range }) => semver.validRange(range) !== null
+    && !semver.satisfies(version, range, { includePrerelease: true })) || null;
+}
+
+// The lowest version satisfying range, for suggesting what to install (e.g. "20.0.0")
+export function getMinimumVersion(range) {
+  try {
+    const minimum = semver.minVersion(range);
+    return minimum ? minimum.version : null;
+  } catch {
+    return null;
+  }
+}
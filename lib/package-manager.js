@@ -0,0 +1,90 @@
+// AI Summary: Package manager support for the install and package steps. Describes how npm, pnpm,
+// yarn and bun install from a frozen lockfile, how their install failures are classified
+// (lockfile, permission, network) and how they run the package script, and detects which one a
+// checkout uses from the lockfile it contains.
+
+import path from 'path';
+import fs from 'fs/promises';
+
+export const DEFAULT_PACKAGE_MANAGER = 'npm';
+
+// Per-manager lockfiles, frozen-lockfile install and error patterns. Detection checks managers
+// in this order, so a checkout with several lockfiles is installed with npm when it has one.
+const PACKAGE_MANAGERS = {
+  npm: {
+    lockfiles: ['package-lock.json', 'npm-shrinkwrap.json'],
+    frozenInstallArgs: () => ['ci'],
+    lockfileError: /package-lock\.json|npm-shrinkwrap\.json/,
+    networkError: /ENOTFOUND|ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN/
+  },
+  pnpm: {
+    lockfiles: ['pnpm-lock.yaml'],
+    frozenInstallArgs: () => ['install', '--frozen-lockfile'],
+    lockfileError: /ERR_PNPM_(?:OUTDATED_LOCKFILE|NO_LOCKFILE|LOCKFILE_\w+)|pnpm-lock\.yaml/,
+    networkError: /ERR_PNPM_META_FETCH_FAIL|ERR_PNPM_FETCH_\w+|ENOTFOUND|ETIMEDOUT|ECONNRESET|EAI_AGAIN/
+  },
+  yarn: {
+    lockfiles: ['yarn.lock'],
+    // Yarn 2+ replaced --frozen-lockfile with --immutable
+    frozenInstallArgs: (version) => (parseInt(version, 10) >= 2
+      ? ['install', '--immutable']
+      : ['install', '--frozen-lockfile']),
+    lockfileError: /lockfile needs to be updated|YN0028|yarn\.lock/,
+    networkError: /trouble with your network connection|ENOTFOUND|ETIMEDOUT|ECONNRESET|EAI_AGAIN/
+  },
+  bun: {
+    lockfiles: ['bun.lock', 'bun.lockb'],
+    frozenInstallArgs: () => ['install', '--frozen-lockfile'],
+    lockfileError: /lockfile had changes|bun\.lockb?/,
+    networkError: /ConnectionRefused|ConnectionClosed|failed to resolve|ENOTFOUND|ETIMEDOUT/
+  }
+};
+
+export const PACKAGE_MANAGER_NAMES = Object.keys(PACKAGE_MANAGERS);
+
+// Every lockfile any supported manager writes
+export const LOCKFILE_NAMES = PACKAGE_MANAGER_NAMES.flatMap(name => PACKAGE_MANAGERS[name].lockfiles);
+
+const PERMISSION_ERROR = /EACCES|EPERM/;
+
+// Returns { name, lockfiles, installArgs, fallbackInstallArgs, runArgs(script) } for a manager.
+// `version` is the output of `<name> --version`; only yarn's install flags depend on it.
+export function getPackageManager(name, version = '') {
+  const manager = PACKAGE_MANAGERS[name];
+  if (!manager) {
+    throw new Error(`Unsupported package manager: ${name}`);
+  }
+  return {
+    name,
+    lockfiles: manager.lockfiles,
+    installArgs: manager.frozenInstallArgs(version),
+    fallbackInstallArgs: ['install'],
+    runArgs: (script) => ['run', script]
+  };
+}
+
+// Classifies a failed frozen install from its output: 'lockfile' (missing or out of date, so a
+// regular install may still work), 'permission', 'network', or null when unrecognized.
+export function classifyInstallError(name, output = '') {
+  const manager = PACKAGE_MANAGERS[name];
+  if (manager.lockfileError.test(output)) return 'lockfile';
+  if (PERMISSION_ERROR.test(output)) return 'permission';
+  if (manager.networkError.test(output)) return 'network';
+  return null;
+}
+
+// Resolves with { name, lockfile } for the first manager whose lockfile is in directory,
+// or null when there is none.
+export async function detectPackageManager(directory) {
+  for (const name of PACKAGE_MANAGER_NAMES) {
+    for (const lockfile of PACKAGE_MANAGERS[name].lockfiles) {
+      try {
+        await fs.stat(path.join(directory, lockfile));
+        return { name, lockfile };
+      } catch {
+        // Not this one
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,95 @@
+// AI Summary: Terminal progress display for downloads. Formats byte counts, throughput and ETA,
+// and redraws a single progress line (bar and percentage when the total size is known) at most
+// every 100ms. Only draws on interactive terminals, so logs and CI output stay clean.
+
+const BAR_WIDTH = 24;
+const REDRAW_INTERVAL = 100;
+
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+export function formatDuration(seconds) {
+  const rounded = Math.max(0, Math.round(seconds));
+  if (rounded < 60) {
+    return `${rounded}s`;
+  }
+  const minutes = Math.floor(rounded / 60);
+  return `${minutes}m${String(rounded % 60).padStart(2, '0')}s`;
+}
+
+// One line of progress, e.g. "[######------] 45% 12.3 MB / 27.1 MB  2.1 MB/s  ETA 7s".
+// Without a total only the received size and throughput are shown.
+export function formatProgress({ received, total, bytesPerSecond }) {
+  const speed = bytesPerSecond > 0 ? `  ${formatBytes(Math.round(bytesPerSecond))}/s` : '';
+
+  if (!total) {
+    return `${formatBytes(received)}${speed}`;
+  }
+
+  const ratio = Math.min(received / total, 1);
+  const filled = Math.round(ratio * BAR_WIDTH);
+  const bar = `[${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}]`;
+  const percent = `${Math.floor(ratio * 100)}%`.padStart(4);
+  const eta = bytesPerSecond > 0 && received < total
+    ? `  ETA ${formatDuration((total - received) / bytesPerSecond)}`
+    : '';
+
+  return `${bar} ${percent} ${formatBytes(received)} / ${formatBytes(total)}${speed}${eta}`;
+}
+
+// Returns { update({ received, total }), restart(), done() }. Throughput is measured
+// from the first update after each (re)start, so a resumed download does not count the bytes
+// it already had.
+export function createProgressReporter({ stream = process.stdout, prefix = '   ', now = Date.now } = {}) {
+  const enabled = Boolean(stream.isTTY);
+  let startTime = null;
+  let startBytes = 0;
+  let lastDraw = 0;
+  let lastLine = '';
+  let drawn = false;
+
+  const draw = (line) => {
+    stream.write(`\r${prefix}${line}${' '.repeat(Math.max(0, lastLine.length - line.length))}`);
+    lastLine = line;
+    drawn = true;
+  };
+
+  return {
+    update({ received, total }) {
+      const time = now();
+      if (startTime === null) {
+        startTime = time;
+        startBytes = received;
+      }
+      if (!enabled || (time - lastDraw < REDRAW_INTERVAL && received !== total)) {
+        return;
+      }
+      lastDraw = time;
+      const elapsed = (time - startTime) / 1000;
+      const bytesPerSecond = elapsed > 0 ? (received - startBytes) / elapsed : 0;
+      draw(formatProgress({ received, total, bytesPerSecond }));
+    },
+
+    restart() {
+      startTime = null;
+      this.done();
+    },
+
+    // Ends the progress line so regular output continues on a fresh line
+    done() {
+      if (drawn) {
+        stream.write('\n');
+        drawn = false;
+        lastLine = '';
+      }
+    }
+  };
+}
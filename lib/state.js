@@ -0,0 +1,66 @@
+// AI Summary: Install checkpoint file for setup-athanor. Records which install steps finished in
+// <target>/.setup-athanor-state.json so an interrupted or failed install can be resumed
+// from the first incomplete step instead of starting over. It also records the lockfile that
+// dependencies were last installed from, so update knows when they must be reinstalled.
+
+import path from 'path';
+import fs from 'fs/promises';
+
+export const STATE_FILE_NAME = '.setup-athanor-state.json';
+
+// Install steps in execution order
+export const INSTALL_STEPS = ['fetch', 'install', 'package'];
+
+export function createState({ ref, source, toolVersion }) {
+  const now = new Date().toISOString();
+  return {
+    tool: 'setup-athanor',
+    toolVersion,
+    ref: ref || null,
+    source,
+    // { name, sha256 } of the lockfile after the last successful dependency install
+    lockfile: null,
+    completedSteps: [],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Returns the saved state, or null when the file is missing or unreadable
+export async function readState(targetPath) {
+  try {
+    const content = await fs.readFile(path.join(targetPath, STATE_FILE_NAME), 'utf8');
+    const state = JSON.parse(content);
+    if (!state || !Array.isArray(state.completedSteps)) {
+      return null;
+    }
+    return state;
+  } catch {
+    return null;
+  }
+}
+
+export async function writeState(targetPath, state) {
+  state.updatedAt = new Date().toISOString();
+  await fs.writeFile(
+    path.join(targetPath, STATE_FILE_NAME),
+    JSON.stringify(state, null, 2) + '\n',
+    'utf8'
+  );
+}
+
+export async function markStepCompleted(targetPath, state, step) {
+  if (!state.completedSteps.includes(step)) {
+    state.completedSteps.push(step);
+  }
+  await writeState(targetPath, state);
+}
+
+export function isInstallComplete(state) {
+  return INSTALL_STEPS.every(step => state.completedSteps.includes(step));
+}
+
+// The first step that has not completed yet, or null when the install is complete
+export function getNextStep(state) {
+  return INSTALL_STEPS.find(step => !state.completedSteps.includes(step)) || null;
+}
@@ -0,0 +1,99 @@
+// AI Summary: Support for `setup-athanor uninstall`. Checks that a directory really is an Athanor
+// installation set up by setup-athanor (package.json name and the install state file) before
+// anything is deleted (update runs the same check before replacing sources), lists what the installer created outside the installation (on Linux the
+// desktop entry and athanor command when they point at it, and the download cache when asked to
+// purge it), and removes the installation and those paths, reporting what could not be removed.
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { STATE_FILE_NAME, readState } from './state.js';
+import { getCacheDir } from './cache.js';
+import { readDesktopIntegration } from './desktop.js';
+
+export const ATHANOR_PACKAGE_NAME = 'athanor';
+
+async function pathExists(targetPath) {
+  try {
+    await fs.stat(targetPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Returns null when targetPath holds an Athanor installation created by setup-athanor, else a
+// message saying why it does not. Both checks must pass: any Athanor checkout has the package
+// name, and only the installer writes the state file. With requireState false, any Athanor
+// checkout passes (a Git clone is recognizable without the state file).
+export async function getInstallationError(targetPath, { requireState = true } = {}) {
+  let packageJson;
+  try {
+    packageJson = JSON.parse(await fs.readFile(path.join(targetPath, 'package.json'), 'utf8'));
+  } catch (error) {
+    return error.code === 'ENOENT'
+      ? 'It has no package.json.'
+      : `Its package.json could not be read: ${error.message}`;
+  }
+  if (!packageJson || packageJson.name !== ATHANOR_PACKAGE_NAME) {
+    const name = packageJson && packageJson.name ? `"${packageJson.name}"` : 'missing';
+    return `Its package.json name is ${name}, not "${ATHANOR_PACKAGE_NAME}".`;
+  }
+
+  if (!requireState) {
+    return null;
+  }
+
+  const state = await readState(targetPath);
+  if (!state || state.tool !== 'setup-athanor') {
+    return `It has no ${STATE_FILE_NAME}, so it was not set up by setup-athanor.`;
+  }
+  return null;
+}
+
+// What the installer created for targetPath outside of it, as { description, path } for the paths
+// that exist. The desktop entry and the athanor command only count when they belong to this
+// installation; the download cache is shared by all installations, so it is only included with
+// purgeCache.
+export async function findRegisteredPaths(targetPath, { purgeCache = false, env = process.env, platform = os.platform(), homedir = os.homedir() } = {}) {
+  const found = [];
+  const cacheDir = getCacheDir(env, platform);
+  if (purgeCache && await pathExists(cacheDir)) {
+    found.push({ description: 'Download cache', path: cacheDir });
+  }
+
+  if (platform === 'linux') {
+    const { desktopEntry, launcher } = await readDesktopIntegration({ env, homedir });
+    if (desktopEntry && desktopEntry.installationPath === targetPath) {
+      found.push({ description: 'Desktop entry', path: desktopEntry.path });
+    }
+    if (launcher && isWithin(targetPath, launcher.targetPath)) {
+      found.push({ description: 'athanor command', path: launcher.path });
+    }
+  }
+  return found;
+}
+
+// True when descendant is directory itself or somewhere inside it
+export function isWithin(directory, descendant) {
+  const relative = path.relative(directory, descendant);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Removes every path, going on after failures. Returns the paths that were removed and those
+// that could not be, as CleanupTracker.rollback() does.
+export async function removePaths(paths) {
+  const removed = [];
+  const failed = [];
+
+  for (const targetPath of paths) {
+    try {
+      await fs.rm(targetPath, { recursive: true, force: true });
+      removed.push(targetPath);
+    } catch (error) {
+      failed.push({ path: targetPath, error });
+    }
+  }
+
+  return { removed, failed };
+}